@@ -4,8 +4,33 @@
 // - Ghost spawn animation + sound; ghost starts slow and ramps faster over time
 // - Soft intro ramp, extra juice (dust, land burst, lunge flash), improved sword combat
 // - Best score saved to localStorage
+// - Seeded RNG for all gameplay randomness (?seed=..., ?daily)
+// - Fixed-timestep simulation (60 ticks/s) with interpolated rendering
+// - Every run is recorded as per-tick input; replays can be watched, exported and loaded
+// - Keyboard + gamepad feed named actions; bindings are remappable (K) and saved
+// - On-screen touch controls appear on phones / tablets
+// - Game flow as explicit states: boot, title, playing, paused, results, settings
+// - Local leaderboard (top 20 runs) and lifetime stats
+// - Achievements unlocked from gameplay events, announced with a toast
+// - Cosmetics picker (color, stroke, head, trail), unlocked by achievements
+// - Points score (distance, repels x combo, near misses, soul orbs) next to time
+// - Race a translucent shadow of your best run on the same seed
+// - Chunk editor (?editor) for the handcrafted chunks the generator mixes in
+//
+// This file is the browser shell: canvas, keyboard, audio, rendering and the loop.
+// The simulation itself lives in src/core.js (see there for the headless API).
 
 (() => {
+  const {
+    core, rng, replay: replayLib, records: recordsLib, shadow: shadowLib,
+    input: inputLib, touch: touchLib, flow: flowLib, ui,
+    chunks: chunksLib, editor: editorLib, powerups: powerupLib, difficulty: difficultyLib,
+    achievements: achievementsLib, cosmetics: cosmeticsLib, sprites: spritesLib,
+    fallbacks: fallbacksLib, music: musicLib, sfx: sfxLib,
+  } = window.GhostChase;
+  const { clamp, lerp, hsl, TICK, TICK_RATE, ACTION_BIT } = core;
+  const POWERUP = powerupLib.byId;
+
   // ===================== Canvas =====================
   const canvas = document.getElementById("game");
   const ctx = canvas.getContext("2d");
@@ -13,61 +38,142 @@
   const W = canvas.width, H = canvas.height;
   const hudEl = document.getElementById("hud");
 
-  // ===================== Input ======================
-  const keys = new Set();
-  const pressed = new Set();
-
-  window.addEventListener(
-    "keydown",
-    (e) => {
-      const k = e.key.toLowerCase();
-      keys.add(k);
-      pressed.add(k);
-      if (
-        [" ", "arrowup", "arrowdown", "arrowleft", "arrowright"].includes(k) ||
-        e.code === "Space"
-      ) {
-        e.preventDefault();
+  // ===================== Storage / settings =====================
+  // Same try/catch localStorage wrapper the core gets
+  const storage = {
+    getItem(k) { try { return localStorage.getItem(k); } catch { return null; } },
+    setItem(k, v) { try { localStorage.setItem(k, v); } catch (e) { console.warn("Save failed:", e); } },
+  };
+
+  const SETTINGS_KEY = "gc_settings";
+  const SETTINGS_VERSION = 1;
+  const DEFAULT_SETTINGS = {
+    volume: 0.8, sfxVolume: 1, musicVolume: 1, mute: false,
+    touch: "auto", difficulty: "normal", customDifficulty: {},
+    cosmetics: cosmeticsLib.DEFAULTS,
+  };
+  const VOLUME_KEYS = ["volume", "sfxVolume", "musicVolume"];
+  const VOLUME_STEPS = 10; // volumes are 0..1 in tenths
+  const snapVolume = (v) => Math.round(Math.min(1, Math.max(0, v)) * VOLUME_STEPS) / VOLUME_STEPS;
+
+  function loadSettings() {
+    const out = Object.assign({}, DEFAULT_SETTINGS);
+    try {
+      const saved = JSON.parse(storage.getItem(SETTINGS_KEY) || "null");
+      if (saved && saved.v === SETTINGS_VERSION) {
+        for (const k of Object.keys(DEFAULT_SETTINGS)) {
+          if (typeof saved[k] === typeof DEFAULT_SETTINGS[k]) out[k] = saved[k];
+        }
+        // before the volume settings, sound effects and music were on / off
+        if (saved.sound === false && saved.sfxVolume === undefined) out.sfxVolume = 0;
+        if (saved.music === false && saved.musicVolume === undefined) out.musicVolume = 0;
       }
-    },
-    { passive: false }
-  );
+    } catch (e) {
+      console.warn("Bad saved settings, using defaults:", e);
+    }
+    if (!difficultyLib.NAMES.includes(out.difficulty)) out.difficulty = "normal";
+    out.customDifficulty = difficultyLib.sanitize(out.customDifficulty);
+    out.cosmetics = cosmeticsLib.sanitize(out.cosmetics);
+    for (const k of VOLUME_KEYS) out[k] = snapVolume(Number.isFinite(out[k]) ? out[k] : DEFAULT_SETTINGS[k]);
+    return out;
+  }
+
+  const settings = loadSettings();
+
+  // what the next live run plays on (a replay plays on what it was recorded with)
+  const activeDifficulty = () => difficultyLib.resolve(settings.difficulty, settings.customDifficulty);
 
-  window.addEventListener("keyup", (e) => keys.delete(e.key.toLowerCase()));
-  const wasPressed = (k) => pressed.has(k);
+  function replayDifficulty(data) {
+    const d = data.difficulty;
+    if (!d || !difficultyLib.NAMES.includes(d.name)) return difficultyLib.resolve("normal");
+    return Object.assign({ name: d.name }, difficultyLib.sanitize(d));
+  }
 
-  // ===================== Utils ======================
-  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-  const lerp = (a, b, t) => a + (b - a) * t;
-  const irand = (a, b) => Math.floor(a + Math.random() * (b - a + 1));
-  const aabb = (a, b) =>
-    a.x < b.x + b.w &&
-    a.x + a.w > b.x &&
-    a.y < b.y + b.h &&
-    a.y + a.h > b.y;
+  function saveSettings() {
+    storage.setItem(SETTINGS_KEY, JSON.stringify(Object.assign({ v: SETTINGS_VERSION }, settings)));
+  }
 
-  function hsl(h, s, l) { return `hsl(${h} ${s}% ${l}%)`; }
+  // leaderboard + lifetime stats (src/records.js)
+  const records = recordsLib.createRecords(storage);
+  // best trajectory per seed (src/shadow.js)
+  const shadows = shadowLib.createShadowStore(storage, core.VERSION);
+  // unlocks + progress (src/achievements.js)
+  const achievements = achievementsLib.createAchievements(storage);
+  const hasAchievement = (id) => achievements.has(id);
 
-  // ===================== Time/State =================
-  let now = performance.now(), last = now;
+  // ===================== Input ======================
+  // Keyboard + gamepad (src/input.js) and touch (src/touch.js) -> named actions
 
-  let startedAt = now;
-  let started = false;
+  const input = inputLib.createInput({
+    target: window,
+    storage,
+    getGamepads: () => (navigator.getGamepads ? navigator.getGamepads() : []),
+  });
 
-  let gameOver = false;
-  let gameOverReason = "";
+  const touch = touchLib.createTouchControls({
+    canvas,
+    input,
+    W,
+    H,
+    nav: navigator,
+    matchMedia: window.matchMedia ? (q) => window.matchMedia(q) : null,
+    mode: touchLib.MODES.includes(settings.touch) ? settings.touch : "auto",
+    getState: () => ({
+      playing: flow.is("playing", "editorTest"),
+      title: flow.is("title"),
+      hasSword: game.hasPower("sword"),
+    }),
+    onVisible: (v) => document.body.classList.toggle("touch", v),
+  });
 
-  // "best" is localStorage-backed
-  let best = 0;
-  try { best = Number(localStorage.getItem("gc_best") || "0") || 0; } catch {}
+  // The sim never reads the devices directly: each tick's actions are packed into
+  // two bitmasks over core.ACTIONS, so a run can be recorded and replayed exactly.
+  function actionMask(test) {
+    let m = 0;
+    for (const a of core.ACTIONS) if (test(a)) m |= ACTION_BIT[a];
+    return m;
+  }
 
-  let camX = 0;
+  let tickHeld = 0;
+  let tickPressed = 0;
+  const tickInput = {
+    isDown: (a) => (tickHeld & ACTION_BIT[a]) !== 0,
+    wasPressed: (a) => (tickPressed & ACTION_BIT[a]) !== 0,
+  };
 
-  // Soft intro ramp: world starts slower and eases to target scroll
-  let baseScroll = 0;
-  let targetScroll = 90;
+  // ===================== Seed source =================
+  // ?seed=<number|text>, ?daily (same course for everyone per UTC day), else random.
+  // URL/daily seeds are fixed across restarts; a random seed is re-rolled on every restart.
+  function pickSeedSource() {
+    let params = null;
+    try { params = new URLSearchParams(window.location.search); } catch {}
+
+    if (params && params.has("seed") && params.get("seed").trim()) {
+      const raw = params.get("seed").trim();
+      const seed = /^\d+$/.test(raw) ? Number(raw) >>> 0 : rng.hashSeed(raw);
+      return { fixed: true, seed, label: "custom" };
+    }
+    if (params && params.has("daily")) {
+      const day = new Date().toISOString().slice(0, 10);
+      return { fixed: true, seed: rng.hashSeed(`daily:${day}`), label: `daily ${day}` };
+    }
+    return { fixed: false, seed: 0, label: "random" };
+  }
 
-  let ghostsRepelled = 0;
+  const seedSource = pickSeedSource();
+
+  function nextSeed() {
+    return seedSource.fixed ? seedSource.seed : Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  // ===================== Loop timing =================
+  // The sim always advances by one fixed core.TICK; frame() accumulates real time
+  // and renders interpolated between the last two ticks, so every timer and
+  // probability is identical on every display.
+  const MAX_FRAME_DT = 0.25; // after a stall (tab switch) don't try to catch up more than this
+
+  let last = performance.now();
+  let accumulator = 0;
 
   // Screen shake / flashes
   let shakeT = 0;
@@ -85,19 +191,53 @@
   function addLungeTint(time = 0.12) {
     lungeTintT = Math.max(lungeTintT, time);
   }
+  function updateEffects(dt) {
+    if (shakeT > 0) {
+      shakeT = Math.max(0, shakeT - dt);
+      if (shakeT <= 0) shakeMag = 0;
+    }
+    // flash/tint hold on the title and game-over screens
+    if (!game.started || game.gameOver) return;
+    if (flashT > 0) flashT = Math.max(0, flashT - dt);
+    if (lungeTintT > 0) lungeTintT = Math.max(0, lungeTintT - dt);
+  }
 
   // ===================== WebAudio (SFX + Music) =====================
   let audioCtx = null;
   let audioEnabled = false;
 
+  // mixer: the SFX and music buses -> master -> compressor -> speakers
+  let masterGain = null;
+  let sfxGain = null;
+  let noiseBuffer = null; // 1s of white noise, for percussion and noise voices
+  const MUSIC_LEVEL = 0.1; // the music bus at full volume, under the effects
+
+  function applyMix() {
+    if (!masterGain) return;
+    const t = audioCtx.currentTime;
+    masterGain.gain.setTargetAtTime(settings.mute ? 0 : settings.volume, t, 0.03);
+    sfxGain.gain.setTargetAtTime(settings.sfxVolume, t, 0.03);
+    musicGain.gain.setTargetAtTime(settings.musicVolume * MUSIC_LEVEL, t, 0.03);
+  }
+
   let musicOn = false;
-  let musicGain = null;
-  let musicTempo = 118;
+  let musicGain = null;  // everything musical: the song and its cues
+  let songGain = null;   // the song's channels; cues duck this
+  const channelGains = {};
+  const channelLevels = {};
   let musicStep = 0;
   let nextMusicAt = 0;
+  let cueGhostState = null;
+  let cueGameOver = false;
+
+  const LAYER_FADE = 1.5; // s for a channel to fade in / out
 
-  const musicPattern = [0, -1, 2, -1, 4, -1, 2, -1];
-  const musicScale = [261.63, 293.66, 329.63, 392.0, 523.25];
+  // songs, drum kit and cues are data (src/music.js)
+  function currentSong() {
+    const boss = game.boss;
+    if (boss.state === "rise" || boss.state === "fight") return musicLib.SONGS.boss;
+    return game.bossesDefeated > 0 ? musicLib.SONGS.victory : musicLib.SONGS.chase;
+  }
 
   async function ensureAudio() {
     try {
@@ -106,10 +246,34 @@
       if (audioCtx.state === "suspended") await audioCtx.resume();
       audioEnabled = true;
 
-      if (!musicGain) {
+      if (!masterGain) {
+        const compressor = audioCtx.createDynamicsCompressor();
+        compressor.threshold.value = -18;
+        compressor.knee.value = 12;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+        compressor.connect(audioCtx.destination);
+        masterGain = audioCtx.createGain();
+        masterGain.connect(compressor);
+        sfxGain = audioCtx.createGain();
+        sfxGain.connect(masterGain);
         musicGain = audioCtx.createGain();
-        musicGain.gain.value = 0.02;
-        musicGain.connect(audioCtx.destination);
+        musicGain.connect(masterGain);
+        applyMix();
+
+        noiseBuffer = audioCtx.createBuffer(1, audioCtx.sampleRate, audioCtx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+        songGain = audioCtx.createGain();
+        songGain.connect(musicGain);
+        for (const name of musicLib.CHANNELS) {
+          channelGains[name] = audioCtx.createGain();
+          channelGains[name].gain.value = 0;
+          channelLevels[name] = 0;
+          channelGains[name].connect(songGain);
+        }
       }
 
       if (!musicOn) {
@@ -126,117 +290,165 @@
   window.addEventListener("pointerdown", ensureAudio, { once: true });
   window.addEventListener("keydown", ensureAudio, { once: true });
 
+  // one voice of a preset (src/sfx.js) at time t, into the SFX bus
+  function playVoice(v, [f0, f1], t) {
+    const g = audioCtx.createGain();
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(v.gain, t + (v.attack || 0.01));
+    g.gain.exponentialRampToValueAtTime(0.0001, t + v.dur);
+    g.connect(sfxGain);
+
+    let src, pitch;
+    if (v.wave === "noise") {
+      src = audioCtx.createBufferSource();
+      src.buffer = noiseBuffer;
+      const filter = audioCtx.createBiquadFilter();
+      filter.type = v.filter;
+      src.connect(filter);
+      filter.connect(g);
+      pitch = filter.frequency;
+    } else {
+      src = audioCtx.createOscillator();
+      src.type = v.wave;
+      src.connect(g);
+      pitch = src.frequency;
+    }
+    pitch.setValueAtTime(f0, t);
+    if (f1 !== undefined) pitch.exponentialRampToValueAtTime(f1, t + (v.slide || v.dur * 0.85));
+
+    if (v.tremolo) {
+      const lfo = audioCtx.createOscillator();
+      const lfoG = audioCtx.createGain();
+      lfo.type = "square";
+      lfo.frequency.setValueAtTime(v.tremolo.rate, t);
+      lfoG.gain.setValueAtTime(v.tremolo.depth, t);
+      lfo.connect(lfoG);
+      lfoG.connect(g.gain);
+      lfo.start(t);
+      lfo.stop(t + v.dur + 0.02);
+    }
+
+    src.start(t);
+    src.stop(t + v.dur + 0.01);
+  }
+
   function sfx(type) {
-    if (!audioCtx || !audioEnabled) return;
+    const preset = sfxLib.PRESETS[type];
+    if (!preset || !audioCtx || !audioEnabled || silent || settings.mute || !settings.sfxVolume) return;
     if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
 
     const t0 = audioCtx.currentTime;
+    for (const voice of preset) {
+      for (const note of sfxLib.notesOf(voice)) playVoice(voice, note.freq, t0 + note.at);
+    }
+  }
 
-    // helper
-    const make = (oscType, f0, f1, dur, gPeak = 0.14) => {
-      const osc = audioCtx.createOscillator();
-      const gain = audioCtx.createGain();
-      osc.connect(gain);
-      gain.connect(audioCtx.destination);
-
-      gain.gain.setValueAtTime(0.0001, t0);
-      gain.gain.exponentialRampToValueAtTime(gPeak, t0 + 0.01);
-      gain.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
-
-      osc.type = oscType;
-      osc.frequency.setValueAtTime(f0, t0);
-      if (f1 !== null) osc.frequency.exponentialRampToValueAtTime(f1, t0 + dur * 0.85);
+  // one step of a song channel (ch: its data from src/music.js), into its fader `out`
+  function playNote(ch, out, freq, t, dur) {
+    const o = audioCtx.createOscillator();
+    const g = audioCtx.createGain();
+    o.type = ch.wave;
+    o.frequency.setValueAtTime(freq, t);
+
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(ch.gain, t + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + dur * 0.85);
+
+    o.connect(g);
+    g.connect(out);
+    o.start(t);
+    o.stop(t + dur);
+  }
 
-      osc.start(t0);
-      osc.stop(t0 + dur + 0.01);
-    };
+  function playDrum(ch, out, key, t) {
+    const drum = musicLib.DRUMS[key];
+    if (!drum) return;
+    const src = audioCtx.createBufferSource();
+    src.buffer = noiseBuffer;
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = drum.filter;
+    filter.frequency.setValueAtTime(drum.freq, t);
+    const g = audioCtx.createGain();
+    g.gain.setValueAtTime(ch.gain * drum.gain, t);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + drum.dur);
+
+    src.connect(filter);
+    filter.connect(g);
+    g.connect(out);
+    // a different slice of the noise every hit
+    src.start(t, Math.random() * 0.8);
+    src.stop(t + drum.dur + 0.01);
+  }
 
-    if (type === "jump") {
-      make("square", 260, 520, 0.12, 0.12);
-      return;
-    }
-    if (type === "hit") {
-      make("sawtooth", 180, 90, 0.10, 0.16);
-      return;
+  function playCue(name) {
+    const cue = musicLib.CUES[name];
+    const t0 = audioCtx.currentTime;
+    let end = t0;
+    for (const [at, f0, dur, f1] of cue.notes) {
+      const t = t0 + at;
+      const o = audioCtx.createOscillator();
+      const g = audioCtx.createGain();
+      o.type = cue.wave;
+      o.frequency.setValueAtTime(f0, t);
+      if (f1) o.frequency.exponentialRampToValueAtTime(f1, t + dur);
+      g.gain.setValueAtTime(0.0001, t);
+      g.gain.exponentialRampToValueAtTime(cue.gain, t + 0.02);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+      o.connect(g);
+      g.connect(musicGain);
+      o.start(t);
+      o.stop(t + dur + 0.01);
+      end = Math.max(end, t + dur);
     }
-    if (type === "pickup") {
-      const freqs = [330, 415, 523];
-      freqs.forEach((f, i) => {
-        const o = audioCtx.createOscillator();
-        const g = audioCtx.createGain();
-        o.type = "triangle";
-        o.frequency.setValueAtTime(f, t0 + i * 0.06);
-        g.gain.setValueAtTime(0.0001, t0 + i * 0.06);
-        g.gain.exponentialRampToValueAtTime(0.11, t0 + i * 0.06 + 0.01);
-        g.gain.exponentialRampToValueAtTime(0.0001, t0 + i * 0.06 + 0.055);
-        o.connect(g);
-        g.connect(audioCtx.destination);
-        o.start(t0 + i * 0.06);
-        o.stop(t0 + i * 0.06 + 0.06);
-      });
-      return;
+    if (cue.duck < 1) {
+      songGain.gain.cancelScheduledValues(t0);
+      songGain.gain.setTargetAtTime(cue.duck, t0, 0.03);
+      songGain.gain.setTargetAtTime(1, end, 0.25);
     }
-    if (type === "ghostspawn") {
-      // spooky swoop: downward pitch + noise-ish tremolo
-      const osc = audioCtx.createOscillator();
-      const gain = audioCtx.createGain();
-      osc.connect(gain);
-      gain.connect(audioCtx.destination);
-
-      osc.type = "triangle";
-      osc.frequency.setValueAtTime(520, t0);
-      osc.frequency.exponentialRampToValueAtTime(130, t0 + 0.35);
-
-      // tremolo
-      const lfo = audioCtx.createOscillator();
-      const lfoG = audioCtx.createGain();
-      lfo.type = "square";
-      lfo.frequency.setValueAtTime(18, t0);
-      lfoG.gain.setValueAtTime(0.035, t0);
-      lfo.connect(lfoG);
-      lfoG.connect(gain.gain);
-
-      gain.gain.setValueAtTime(0.0001, t0);
-      gain.gain.exponentialRampToValueAtTime(0.18, t0 + 0.02);
-      gain.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.38);
+  }
 
-      lfo.start(t0);
-      osc.start(t0);
-      lfo.stop(t0 + 0.4);
-      osc.stop(t0 + 0.41);
-      return;
-    }
-    if (type === "gameover") {
-      make("triangle", 220, 110, 0.30, 0.15);
-      return;
+  // a channel plays once the run reaches its phase; levels only change on a
+  // phase / song change (so the fade isn't rescheduled every frame)
+  function fadeLayers(song, playing) {
+    const t = audioCtx.currentTime;
+    for (const name of musicLib.CHANNELS) {
+      const ch = song.channels[name];
+      const level = playing && ch && game.phase >= ch.phase ? 1 : 0;
+      if (level === channelLevels[name]) continue;
+      channelLevels[name] = level;
+      channelGains[name].gain.cancelScheduledValues(t);
+      channelGains[name].gain.setTargetAtTime(level, t, LAYER_FADE / 3);
     }
   }
 
   function tickMusic() {
-    if (!musicOn || !audioCtx || !audioEnabled || !musicGain) return;
+    if (!musicOn || !audioCtx || !audioEnabled || !musicGain || !settings.musicVolume) return;
     if (audioCtx.state === "suspended") return;
 
+    // lunges and the end of a run get their cues
+    if (!silent && ghost.state === "lunge" && cueGhostState !== "lunge") playCue("stinger");
+    if (!silent && game.gameOver && !cueGameOver) playCue("gameover");
+    cueGhostState = ghost.state;
+    cueGameOver = game.gameOver;
+
     const t = audioCtx.currentTime;
-    const stepDur = 60 / musicTempo / 2;
+    const song = currentSong();
+    // the song rests from game over until the next run
+    fadeLayers(song, !game.gameOver);
+    if (game.gameOver) return;
+    // back from a pause / hidden tab: pick the beat up again instead of bursting notes
+    if (nextMusicAt < t) nextMusicAt = t + 0.05;
 
     while (nextMusicAt <= t + 0.05) {
-      const degree = musicPattern[musicStep % musicPattern.length];
-      if (degree !== -1) {
-        const freq = musicScale[degree % musicScale.length];
-
-        const o = audioCtx.createOscillator();
-        const g = audioCtx.createGain();
-        o.type = "square";
-        o.frequency.setValueAtTime(freq, nextMusicAt);
-
-        g.gain.setValueAtTime(0.0001, nextMusicAt);
-        g.gain.exponentialRampToValueAtTime(0.06, nextMusicAt + 0.01);
-        g.gain.exponentialRampToValueAtTime(0.0001, nextMusicAt + stepDur * 0.85);
-
-        o.connect(g);
-        g.connect(musicGain);
-        o.start(nextMusicAt);
-        o.stop(nextMusicAt + stepDur);
+      // eighth notes; the tempo follows the world's scroll speed
+      const stepDur = 60 / musicLib.tempoAt(song, game.baseScroll) / 2;
+      for (const name of musicLib.CHANNELS) {
+        const ch = song.channels[name];
+        if (!ch || !channelLevels[name]) continue;
+        const s = musicLib.stepOf(ch, musicStep);
+        if (s === null) continue;
+        if (name === "perc") playDrum(ch, channelGains[name], s, nextMusicAt);
+        else playNote(ch, channelGains[name], musicLib.noteFreq(song, s, ch.octave), nextMusicAt, stepDur * ch.len);
       }
 
       musicStep++;
@@ -245,42 +457,52 @@
   }
 
   // ===================== Assets =====================
-  const assetList = {
-    ghost: "assets/ghost.png",
-    tiles: "assets/tiles.png",
-    sword: "assets/sword.png",
-    bg_far: "assets/bg_far.png",
-    bg_mid: "assets/bg_mid.png",
-    bg_near: "assets/bg_near.png",
-  };
+  // sheets, frames, animations, tiles and parallax layers (src/sprites.js)
+  const sprites = spritesLib.parseManifest(spritesLib.MANIFEST);
+  const assetList = {};
+  for (const [name, sheet] of Object.entries(sprites.sheets)) assetList[name] = sheet.src;
 
   const AS = {};
-  const assetOK = {};
-  function loadAssets(cb) {
-    const names = Object.keys(assetList);
-    let doneCount = 0;
-
-    function done(name, ok) {
-      assetOK[name] = ok;
-      doneCount++;
-      if (doneCount === names.length) cb();
-    }
-
-    for (const name of names) {
-      const img = new Image();
-      img.onload = () => done(name, true);
-      img.onerror = () => {
-        console.warn("Failed to load:", assetList[name]);
-        done(name, false);
-      };
-      img.src = assetList[name];
+  const assetStatus = {}; // name -> "loading" | "ok" | "failed"
+  const assetTries = {};
+  const assetNames = Object.keys(assetList);
+  const assetsLoading = () => assetNames.some((n) => assetStatus[n] === "loading");
+  const assetsFailed = () => assetNames.filter((n) => assetStatus[n] === "failed");
+
+  // (re)load one sheet; a retry busts the cache so a failed response isn't reused
+  function loadAsset(name) {
+    const tries = (assetTries[name] || 0) + 1;
+    assetTries[name] = tries;
+    assetStatus[name] = "loading";
+    const img = new Image();
+    img.onload = () => {
+      assetStatus[name] = "ok";
       AS[name] = img;
+    };
+    img.onerror = () => {
+      console.warn("Failed to load:", assetList[name]);
+      assetStatus[name] = "failed";
+    };
+    img.src = tries > 1 ? `${assetList[name]}?retry=${tries}` : assetList[name];
+  }
+
+  // whatever is still missing gets procedural stand-in art (src/fallbacks.js)
+  const fallbackArt = {};
+  function useFallbacks() {
+    const makeCanvas = (w, h) => Object.assign(document.createElement("canvas"), { width: w, height: h });
+    for (const name of assetsFailed()) {
+      const img = fallbacksLib.makeFallback(name, sprites.sheets[name], makeCanvas);
+      if (img) {
+        AS[name] = img;
+        fallbackArt[name] = true;
+      }
     }
   }
+
   function assetSummary() {
-    const needed = Object.keys(assetList);
-    const ok = needed.filter((k) => assetOK[k]).length;
-    return `${ok}/${needed.length} loaded`;
+    const ok = assetNames.filter((n) => assetStatus[n] === "ok").length;
+    const stand = Object.keys(fallbackArt).length;
+    return `${ok}/${assetNames.length} loaded` + (stand ? `, ${stand} stand-in${stand === 1 ? "" : "s"}` : "");
   }
 
   // ===================== Particles =====================
@@ -334,337 +556,376 @@
     }
   }
 
-  // ===================== World =====================
-  const groundY = 140;
-
-  const ground = [];     // segments at y=groundY
-  const platforms = [];  // upper platforms (y < groundY)
-
-  function addGroundSeg(x, w) { ground.push({ x, y: groundY, w, h: 40 }); }
-  function addPlatform(x, y, w) { platforms.push({ x, y, w, h: 10 }); }
-
-  // Ground generation: mostly continuous with occasional gaps to jump.
-  const GROUND_GAP_CHANCE = 0.14;
-  const GROUND_SEG_W_MIN = 220;
-  const GROUND_SEG_W_MAX = 420;
-  const GROUND_GAP_MIN = 70;
-  const GROUND_GAP_MAX = 150;
-
-  // Upper platform generator mood
-  let genMode = "easy";
-  let genModeLeft = 6;
-  let lastPlatY = 110;
-
-  function pickGenMode() {
-    const r = Math.random();
-    if (r < 0.55) return "easy";
-    if (r < 0.8) return "stairs";
-    return "gaps";
+  // ===================== Score popups =====================
+  // "+N" floating up from where points were scored (core's popup hook, screen coords)
+  const POPUP_TIME = 0.8;
+  const popups = [];
+  function addPopup(x, y, str) {
+    if (silent) return;
+    popups.push({ x, y, text: str, age: 0 });
   }
-
-  function seedWorld() {
-    camX = 0;
-    baseScroll = 0;
-    targetScroll = 90;
-    ghostsRepelled = 0;
-
-    ground.length = 0;
-    platforms.length = 0;
-
-    // Start with a long stable ground so you can breathe
-    addGroundSeg(-600, 2600);
-
-    // Seed some initial upper platforms
-    let x = 160;
-    for (let i = 0; i < 10; i++) {
-      addPlatform(x, irand(78, 120), irand(56, 110));
-      x += irand(90, 160);
+  function updatePopups(dt) {
+    for (let i = popups.length - 1; i >= 0; i--) {
+      popups[i].age += dt;
+      if (popups[i].age >= POPUP_TIME) popups.splice(i, 1);
     }
-
-    sword = null;
-    nextSwordSpawnAt = 3;
-
-    genMode = "easy";
-    genModeLeft = irand(4, 7);
-    lastPlatY = irand(92, 118);
   }
-
-  function ensureGroundAhead() {
-    let far = -Infinity;
-    for (const g of ground) far = Math.max(far, g.x + g.w);
-    if (far === -Infinity) far = camX - 500;
-
-    while (far < camX + W + 600) {
-      const makeGap = Math.random() < GROUND_GAP_CHANCE;
-      if (makeGap) {
-        far += irand(GROUND_GAP_MIN, GROUND_GAP_MAX);
-      } else {
-        const w = irand(GROUND_SEG_W_MIN, GROUND_SEG_W_MAX);
-        addGroundSeg(far, w);
-        far += w;
-      }
+  function drawPopups() {
+    for (const p of popups) {
+      ctx.globalAlpha = 1 - p.age / POPUP_TIME;
+      text(ctx, p.text, p.x, p.y - p.age * 18, { color: accent, align: "center", size: 7 });
     }
+    ctx.globalAlpha = 1;
+  }
 
-    for (let i = ground.length - 1; i >= 0; i--) {
-      const g = ground[i];
-      if (g.x + g.w < camX - 900) ground.splice(i, 1);
+  // ===================== Game =====================
+  const game = core.createGame({
+    input: tickInput,
+    storage,
+    seed: nextSeed(),
+    difficulty: activeDifficulty(),
+    hooks: {
+      sfx,
+      particles: spawnParticles,
+      shake: addShake,
+      flash: addFlash,
+      lungeTint: addLungeTint,
+      onStart: ensureAudio,
+      onGameOver: onRunOver,
+      onEvent: onGameEvent,
+      popup: addPopup,
+    },
+  });
+  const { player, ghost, ground, platforms } = game;
+
+  // seed: replay a specific course (otherwise follows the seed source)
+  function restart(seed = nextSeed()) {
+    game.setDifficulty(replay ? replay.difficulty : activeDifficulty());
+    game.restart(seed);
+    snapshotPrev();
+
+    if (replay) {
+      replay.tick = 0;
+      track = null;
+      rival = null;
+    } else {
+      const courseKey = difficultyLib.courseKey(game.difficulty);
+      recorder = replayLib.createRecorder(game.seed, game.difficulty);
+      track = shadowLib.createTrack(game.seed, core.VERSION, courseKey);
+      rival = shadows.get(game.seed, courseKey);
     }
   }
 
-  function ensurePlatformsAhead() {
-    let far = 0;
-    for (const p of platforms) far = Math.max(far, p.x + p.w);
+  // Positions at the previous tick + the interpolated positions draw() uses
+  const prev = { camX: 0, px: 0, py: 0, gx: 0, gy: 0 };
+  const view = { camX: 0, px: 0, py: 0, gx: 0, gy: 0, alpha: 1 };
 
-    while (far < camX + W + 420) {
-      if (genModeLeft <= 0) {
-        genMode = pickGenMode();
-        genModeLeft = genMode === "easy" ? irand(5, 9) : irand(4, 7);
-      }
-      genModeLeft--;
-
-      let gap = 0, w = 0, y = lastPlatY;
+  function snapshotPrev() {
+    prev.camX = game.camX;
+    prev.px = player.x;
+    prev.py = player.y;
+    prev.gx = ghost.x;
+    prev.gy = ghost.y;
+  }
 
-      if (genMode === "easy") {
-        gap = irand(70, 120); w = irand(56, 110);
-        y = clamp(lastPlatY + irand(-10, 10), 76, 124);
-      } else if (genMode === "stairs") {
-        gap = irand(70, 110); w = irand(50, 90);
-        y = clamp(lastPlatY + irand(-18, 18), 68, 124);
-      } else {
-        gap = irand(110, 165); w = irand(44, 84);
-        y = clamp(lastPlatY + irand(-14, 14), 70, 124);
-      }
+  // ===================== Shadow =====================
+  // The best run on this seed, raced live. Shadow index i is the state after
+  // live tick i + 1, i.e. it lines up with game.now.
+  const SHADOW_COLOR = "rgba(200,215,255,1)";
+  let track = null;  // this run's trajectory (live play only)
+  let rival = null;  // decoded best run on this seed, if any
 
-      const nextX = far + gap;
-      addPlatform(nextX, y, w);
-      lastPlatY = y;
-      far = nextX + w;
-    }
-
-    for (let i = platforms.length - 1; i >= 0; i--) {
-      const p = platforms[i];
-      if (p.x + p.w < camX - 600) platforms.splice(i, 1);
-    }
-  }
-
-  // ===================== Entities =====================
-  const player = {
-    x: 70,
-    y: 40,
-    w: 12,
-    h: 20,
-    vx: 0,
-    vy: 0,
-    onGround: false,
-    hasSword: false,
-    swordUntil: 0,
-    attackUntil: 0,
-    attackDir: "right",
-    coyote: 0,
-    jumpBuffer: 0,
-
-    // cosmetic / power
-    color: "#e8eefc",
-    rainbow: false,
-    power: 1.0,      // rainbow = 1.25
-    sprinting: false,
-    combo: 0,
-    comboUntil: 0,
-  };
+  const simTick = () => Math.round((game.now / 1000) * TICK_RATE);
 
-  const ghost = {
-    x: -90,
-    y: 60,
-    w: 48,
-    h: 64,
-    speed: 0,
-    pushedBackUntil: 0,
-    state: "spawn", // spawn -> calm/lunge
-    stateTime: 0,
-    spawnedAt: 0,
-  };
+  function trackTick() {
+    if (!track || game.gameOver) return;
+    track.tick(game.camX + player.x, player.y, playerPose());
+  }
 
-  // ===================== Player appearance (Alan Becker stickman) =====================
-  function rollPlayerStyle() {
-    const rainbow = Math.random() < 0.01;
-    player.rainbow = rainbow;
-    player.power = rainbow ? 1.25 : 1.0;
+  // + = ahead of the shadow (it reached this spot later), - = behind; null if n/a
+  function shadowDelta() {
+    if (!rival || !game.started) return null;
+    const k = rival.tickAt(game.camX + player.x);
+    // further than the shadow ever got: ahead by at least its remaining time
+    if (k < 0) return Math.max(0, rival.ticks - simTick()) / TICK_RATE;
+    return (k + 1 - simTick()) / TICK_RATE;
+  }
 
-    if (rainbow) {
-      player.color = "#ffffff";
-    } else {
-      const hue = irand(0, 359);
-      // saturated, readable on dark bg
-      player.color = hsl(hue, 90, 68);
-    }
+  function updateView(alpha) {
+    view.camX = lerp(prev.camX, game.camX, alpha);
+    view.px = lerp(prev.px, player.x, alpha);
+    view.py = lerp(prev.py, player.y, alpha);
+    view.gx = lerp(prev.gx, ghost.x, alpha);
+    view.gy = lerp(prev.gy, ghost.y, alpha);
+    view.alpha = alpha;
   }
 
-  // ===================== Sword spawn =====================
-  let sword = null, nextSwordSpawnAt = 0;
+  // ===================== Replay viewer =====================
+  // Recording/decoding lives in src/replay.js; this is the in-browser viewer.
+  const REPLAY_SEEK_STEP = 5; // seconds per ←/→ in the viewer
 
-  function maybeSpawnSword(tSec) {
-    if (tSec < nextSwordSpawnAt) return;
+  let recorder = null;   // run being recorded (live play only)
+  let replay = null;     // replay being watched (null during live play)
+  let lastReplay = loadStoredReplay("gc_replay_last");
+  let hasBestReplay = loadStoredReplay("gc_replay_best") !== null;
+  let silent = false;    // mutes sfx while re-simulating for a seek
 
-    const candidates = platforms.filter(
-      (p) => p.x > camX + 90 && p.x < camX + W + 420
-    );
-    const p = candidates.length ? candidates[irand(0, candidates.length - 1)] : null;
+  function saveReplay(key, data) {
+    storage.setItem(key, JSON.stringify(data));
+  }
 
-    const sx = p ? p.x + p.w * 0.5 - 4 : camX + W + 140;
-    const sy = p ? p.y - 12 : groundY - 22;
+  function loadStoredReplay(key) {
+    try { return JSON.parse(storage.getItem(key) || "null"); } catch { return null; }
+  }
 
-    sword = { x: sx, y: sy, w: 10, h: 12, active: true, bob: 0 };
-    nextSwordSpawnAt = tSec + 20;
+  // core hook: a run just ended
+  function onRunOver(info) {
+    if (game.course) {
+      flow.go("editor", { result: { reason: info.reason, x: Math.round(game.camX + player.x) } });
+      return;
+    }
+    if (replay || !recorder) return;
+    const rank = records.addRun(info);
+    if (track) shadows.offer(track.finish(info.time));
+    track = null;
+    lastReplay = recorder.finish(info.time);
+    recorder = null;
+    saveReplay("gc_replay_last", lastReplay);
+    if (info.isBest) {
+      saveReplay("gc_replay_best", lastReplay);
+      hasBestReplay = true;
+    }
+    flow.go("results", Object.assign({ rank }, info));
   }
 
-  // ===================== Feel tuning =====================
-  const GRAVITY = 1100;
-  const JUMP_V = 380;
-  const MOVE_AIR = 0.95, MOVE_GROUND = 0.82;
-  const COYOTE_TIME = 0.12;
-  const JUMP_BUFFER = 0.12;
-  const JUMP_CUT = 0.55;
+  function startReplay(data) {
+    let decoded;
+    try {
+      decoded = replayLib.decodeReplay(data);
+    } catch (e) {
+      console.warn("Can't play replay:", e.message);
+      return;
+    }
+    if (data.game !== core.VERSION) {
+      console.warn(`Replay recorded on v${data.game}, this is v${core.VERSION}; it may desync.`);
+    }
 
-  // sprint toggle: hold Shift for extra speed (and a clearer run animation)
-  const SPRINT_MULT = 1.35;
+    flow.go("replay", {
+      data,
+      seed: data.seed >>> 0,
+      difficulty: replayDifficulty(data),
+      ticks: data.ticks,
+      held: decoded.held,
+      press: decoded.press,
+      tick: 0,
+      speed: 1,
+      paused: false,
+    });
+  }
 
-  // ===================== Ghost AI (phases + ramp) =====================
-  // Ghost starts slow, then ramps to scary-fast over time, with phases.
-  // Phase thresholds in seconds:
-  const PH1 = 18, PH2 = 45, PH3 = 90;
+  function stopReplay() {
+    flow.go("title");
+  }
+
+  function replayTick() {
+    if (replay.tick >= replay.ticks || game.gameOver) {
+      replay.paused = true;
+      return;
+    }
+    tickHeld = replay.held[replay.tick];
+    tickPressed = replay.press[replay.tick];
+    replay.tick++;
+    game.step(TICK);
+  }
 
-  function ghostChaseFactor(tSec) {
-    // Start under-speed, ramp over time.
-    // 0s: 0.78x, 90s+: 1.45x
-    const t = clamp(tSec / 90, 0, 1);
-    return lerp(0.78, 1.45, t);
+  // Scrub by re-simulating from the start (cheap: the sim runs ~100x realtime)
+  function seekReplay(tick) {
+    const target = clamp(Math.floor(tick), 0, replay.ticks);
+    silent = true;
+    restart(replay.seed);
+    while (replay.tick < target && !game.gameOver) replayTick();
+    silent = false;
+
+    particles.length = 0;
+    shakeT = 0;
+    shakeMag = 0;
+    snapshotPrev();
   }
 
-  function updateGhost(dt, tSec) {
-    ghost.stateTime += dt;
+  function handleReplayControls() {
+    if (input.keyPressed("escape") || input.uiPressed("back")) { stopReplay(); return; }
+    if (input.keyPressed(" ") || input.keyPressed("p") || input.uiPressed("confirm")) {
+      if (replay.tick >= replay.ticks || game.gameOver) seekReplay(0);
+      else replay.paused = !replay.paused;
+    }
+    if (input.keyPressed("1")) replay.speed = 1;
+    if (input.keyPressed("2")) replay.speed = 2;
+    if (input.keyPressed("4")) replay.speed = 4;
+    if (input.uiPressed("left")) seekReplay(replay.tick - REPLAY_SEEK_STEP * TICK_RATE);
+    if (input.uiPressed("right")) seekReplay(replay.tick + REPLAY_SEEK_STEP * TICK_RATE);
+    if (input.keyPressed("home")) seekReplay(0);
+  }
 
-    // Soft intro scroll ramp (world speed)
-    targetScroll = 90 + tSec * 2.0 + ghostsRepelled * 0.8;
-    // ease baseScroll toward target
-    baseScroll = lerp(baseScroll, targetScroll, 1 - Math.pow(0.001, dt)); // frame-rate independent easing
+  function exportLastReplay() {
+    if (lastReplay) downloadJSON(`ghost-chase-${lastReplay.seed}-${lastReplay.time}s.json`, lastReplay);
+  }
 
-    // Phase-based spice:
-    const phase = tSec < PH1 ? 1 : tSec < PH2 ? 2 : tSec < PH3 ? 3 : 4;
+  // Keyboard shortcuts on the title / results screens; true if one fired
+  function handleMenuShortcuts() {
+    if (input.keyPressed("v") && lastReplay) startReplay(lastReplay);
+    else if (input.keyPressed("b") && hasBestReplay) startReplay(loadStoredReplay("gc_replay_best"));
+    else if (input.keyPressed("e") && lastReplay) exportLastReplay();
+    else if (input.keyPressed("l")) pickReplayFile();
+    else if (input.keyPressed("k") || input.padPressed(3)) flow.go("controls", { back: flow.state });
+    else return false;
+    return true;
+  }
 
-    // relative ghost speed factor ramps
-    const chase = ghostChaseFactor(tSec) * (phase === 1 ? 0.95 : phase === 2 ? 1.02 : phase === 3 ? 1.08 : 1.14);
-    ghost.speed = baseScroll * chase;
+  // ===================== Controls screen =====================
+  // Rebind keys / gamepad buttons per action. Navigation uses the fixed UI keys
+  // (arrows/WASD, Enter, Esc or D-pad, A, B) so a bad binding can't lock you out.
+  const CONTROLS_ROWS = inputLib.ACTIONS.concat(["reset", "back"]);
+  const CONTROLS_Y = 38, CONTROLS_ROW_H = 12; // first row, row pitch
+  let controlsBack = "title";
+  let controlsSel = 0;
+  let controlsMsg = "";
+
+  function updateControls() {
+    if (input.capturing) return;
+    if (input.uiPressed("back")) { flow.go(controlsBack); return; }
+    if (input.uiPressed("up")) controlsSel = (controlsSel + CONTROLS_ROWS.length - 1) % CONTROLS_ROWS.length;
+    if (input.uiPressed("down")) controlsSel = (controlsSel + 1) % CONTROLS_ROWS.length;
+
+    const row = CONTROLS_ROWS[controlsSel];
+    if (input.keyPressed("delete") && inputLib.ACTIONS.includes(row)) {
+      input.resetAction(row);
+      controlsMsg = `${inputLib.ACTION_LABELS[row]} reset`;
+    }
+    if (!input.uiPressed("confirm")) return;
 
-    // State machine
-    if (ghost.state === "spawn") {
-      const p = clamp((tSec - ghost.spawnedAt) / 1.0, 0, 1); // 1s spawn anim
-      // drift into view
-      ghost.x = lerp(-120, -30, p);
-      if (p >= 1) {
-        ghost.state = "calm";
-        ghost.stateTime = 0;
-      }
+    if (row === "back" || row === "reset") {
+      runControlsRow(row);
     } else {
-      // Random lunges increase in frequency by phase
-      const lungeChance = phase === 1 ? 0.0009 : phase === 2 ? 0.0016 : phase === 3 ? 0.0026 : 0.0032;
-
-      if (ghost.state !== "lunge" && tSec > 10 && Math.random() < lungeChance) {
-        ghost.state = "lunge";
-        ghost.stateTime = 0;
-        addLungeTint(0.18);
-      }
+      controlsMsg = `Press a key or button for ${inputLib.ACTION_LABELS[row]} (Esc cancels)`;
+      input.capture((got) => {
+        if (got) input.bind(row, got);
+        controlsMsg = got
+          ? `${inputLib.ACTION_LABELS[row]} → ${got.kind === "key" ? inputLib.keyName(got.code) : inputLib.buttonName(got.code)}`
+          : "";
+      });
+    }
+  }
 
-      if (ghost.state === "lunge") {
-        // short, sharp burst
-        if (ghost.stateTime < 0.55) {
-          ghost.x += (ghost.speed * (phase >= 3 ? 1.85 : 1.7) - baseScroll) * dt + 40 * dt;
-        } else {
-          ghost.state = "calm";
-          ghost.stateTime = 0;
-        }
-      } else {
-        // normal chase, with knockback window
-        if (now < ghost.pushedBackUntil) ghost.x -= (phase >= 4 ? 150 : 120) * dt;
-        else ghost.x += (ghost.speed - baseScroll) * dt + (phase >= 3 ? 18 : 14) * dt;
-
-        // Phase 4: occasional tiny "blink" (micro-teleport) but not unfair
-        if (phase === 4 && Math.random() < 0.0009 && ghost.x < 30) {
-          ghost.x += 14;
-          spawnParticles(ghost.x + ghost.w * 0.5, ghost.y + 30, 10, { vx: 80, vy: 120, color: "rgba(190,210,255,1)" });
-          addFlash(0.05);
-        }
-      }
+  function runControlsRow(row) {
+    if (row === "back") {
+      flow.go(controlsBack);
+    } else if (row === "reset") {
+      input.resetAll();
+      controlsMsg = "All controls reset";
     }
+  }
 
-    ghost.y = 62 + Math.sin(tSec * 3.1) * 4;
+  // touch: pick a row; Back / Reset run on tap (rebinding needs a key or button anyway)
+  function tapControls(p) {
+    if (input.capturing) return;
+    const i = Math.floor((p.y - CONTROLS_Y + 2) / CONTROLS_ROW_H);
+    if (i < 0 || i >= CONTROLS_ROWS.length) return;
+    controlsSel = i;
+    runControlsRow(CONTROLS_ROWS[i]);
   }
 
-  // ===================== Game over / restart =====================
-  function triggerGameOver(reason) {
-    if (gameOver) return;
-    gameOver = true;
-    gameOverReason = reason;
-    const t = (now - startedAt) / 1000;
-    best = Math.max(best, t);
-    try { localStorage.setItem("gc_best", String(best)); } catch {}
-    sfx("gameover");
-    addShake(8, 0.25);
-    addFlash(0.12);
+  function drawControls() {
+    ui.shade(ctx, W, H);
+
+    text(ctx, "CONTROLS", W / 2, 10, { align: "center" });
+    text(ctx, "KEYBOARD", 120, 26, { color: muted });
+    text(ctx, "GAMEPAD", 236, 26, { color: muted });
+
+    CONTROLS_ROWS.forEach((row, i) => {
+      const y = CONTROLS_Y + i * CONTROLS_ROW_H;
+      const color = i === controlsSel ? accent : ui.COLORS.text;
+      if (i === controlsSel) text(ctx, ">", 24, y, { color });
+      if (row === "reset") text(ctx, "Reset all to defaults", 34, y, { color });
+      else if (row === "back") text(ctx, "Back", 34, y, { color });
+      else {
+        const d = input.describe(row);
+        text(ctx, inputLib.ACTION_LABELS[row], 34, y, { color });
+        text(ctx, d.keys, 120, y, { color });
+        text(ctx, d.buttons, 236, y, { color });
+      }
+    });
+
+    text(ctx, controlsMsg || "Enter/A: rebind  Del: reset row  Esc/B: back", W / 2, H - 16, { color: muted, align: "center" });
   }
 
-  function restart() {
-    gameOver = false;
-    gameOverReason = "";
-    started = false;
+  function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
 
-    player.x = 70;
-    player.y = 40;
-    player.vx = 0;
-    player.vy = 0;
-    player.onGround = false;
-    player.coyote = 0;
-    player.jumpBuffer = 0;
-    player.hasSword = false;
-    player.swordUntil = 0;
-    player.attackUntil = 0;
-    player.attackDir = "right";
-    player.combo = 0;
-    player.comboUntil = 0;
+  function loadReplayFile(file) {
+    file.text()
+      .then((txt) => startReplay(JSON.parse(txt)))
+      .catch((e) => console.warn("Bad replay file:", e));
+  }
 
-    rollPlayerStyle();
+  function pickJSONFile(onFile) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = () => {
+      const f = input.files && input.files[0];
+      if (f) onFile(f);
+    };
+    input.click();
+  }
 
-    ghost.x = -120;
-    ghost.y = 60;
-    ghost.pushedBackUntil = 0;
-    ghost.state = "spawn";
-    ghost.stateTime = 0;
-    ghost.spawnedAt = 0;
+  function pickReplayFile() {
+    pickJSONFile(loadReplayFile);
+  }
 
-    startedAt = performance.now();
-    now = startedAt;
-    last = startedAt;
+  // drop a replay .json onto the page to watch it (a chunk, in the editor)
+  window.addEventListener("dragover", (e) => e.preventDefault());
+  window.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const f = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if (f) (flow.is("editor") ? loadChunkFile : loadReplayFile)(f);
+  });
 
-    seedWorld();
+  function canvasPoint(e) {
+    const r = canvas.getBoundingClientRect();
+    return { x: ((e.clientX - r.left) / r.width) * W, y: ((e.clientY - r.top) / r.height) * H };
   }
 
+  // taps / clicks go to the current screen (menus, the replay timeline, the editor)
+  canvas.addEventListener("pointerdown", (e) => flow.tap(canvasPoint(e)));
+  canvas.addEventListener("pointermove", (e) => flow.move(canvasPoint(e)));
+  canvas.addEventListener("pointerup", (e) => flow.up(canvasPoint(e)));
+  canvas.addEventListener("wheel", (e) => {
+    if (!flow.is("editor")) return;
+    e.preventDefault();
+    editor.scroll((e.deltaX || e.deltaY) * 0.5);
+  }, { passive: false });
+
   // ===================== Rendering =====================
-  function drawTiled(img, speed) {
+  function drawTiled(img, speed, y) {
     if (!img || !img.width) return;
-    const px = Math.floor(camX * speed) % img.width;
-    // a little vertical offset for parallax depth
-    const y = speed < 0.25 ? 0 : speed < 0.5 ? 3 : 6;
-    ctx.drawImage(img, -px, y);
-    ctx.drawImage(img, -px + img.width, y);
+    const px = Math.floor(view.camX * speed) % img.width;
+    for (let x = -px; x < W; x += img.width) ctx.drawImage(img, x, y);
   }
 
   function drawBackground(tSec) {
     ctx.fillStyle = "#070a14";
     ctx.fillRect(0, 0, W, H);
 
-    // Slightly more dramatic parallax (near layer can feel faster than world scroll)
-    drawTiled(AS.bg_far, 0.14);
-    drawTiled(AS.bg_mid, 0.33);
-    drawTiled(AS.bg_near, 0.78);
+    for (const layer of sprites.parallax) drawTiled(AS[layer.sheet], layer.speed, layer.y);
 
     // mist band
     ctx.fillStyle = "rgba(120,140,255,0.035)";
@@ -683,17 +944,21 @@
     }
   }
 
+  // top row: left cap, middles, right cap; every row below it: underside tiles.
+  // A variant with several cells alternates them along the bar.
   function drawTilesBar(x, y, w, h) {
-    if (AS.tiles && AS.tiles.width) {
-      const tw = 8, th = 8;
+    const sheet = sprites.sheets.tiles;
+    if (AS.tiles && AS.tiles.width && sheet) {
+      const { w: tw, h: th } = sheet.frame;
       const cols = Math.ceil(w / tw);
+      const tile = (cells, i, dx, dy, dh) => {
+        const c = cells[i % cells.length];
+        ctx.drawImage(AS.tiles, c.col * tw, c.row * th, tw, dh, dx, dy, tw, dh);
+      };
       for (let i = 0; i < cols; i++) {
-        const dx = x + i * tw;
-        ctx.drawImage(AS.tiles, 0, 0, tw, th, dx, y, tw, th);
-      }
-      if (h > th) {
-        ctx.fillStyle = "rgba(18,22,44,0.8)";
-        ctx.fillRect(x, y + th, w, h - th);
+        const variant = i === 0 ? "left" : i === cols - 1 ? "right" : "middle";
+        tile(sheet.tiles[variant], i, x + i * tw, y, Math.min(th, h));
+        for (let dy = th; dy < h; dy += th) tile(sheet.tiles.under, i, x + i * tw, y + dy, Math.min(th, h - dy));
       }
     } else {
       ctx.fillStyle = "#2a2f4a";
@@ -702,64 +967,241 @@
   }
 
   function drawGroundSeg(g) {
-    const sx = Math.floor(g.x - camX);
+    const sx = Math.floor(g.x - view.camX);
     drawTilesBar(sx, g.y, g.w, g.h);
   }
 
+  function drawSpikes(s) {
+    const sx = Math.floor(s.x - view.camX);
+    const n = Math.max(1, Math.round(s.w / 6));
+    const tw = s.w / n;
+    ctx.fillStyle = "#c9d2ee";
+    ctx.beginPath();
+    for (let i = 0; i < n; i++) {
+      ctx.moveTo(sx + i * tw, s.y + s.h);
+      ctx.lineTo(sx + i * tw + tw / 2, s.y);
+      ctx.lineTo(sx + (i + 1) * tw, s.y + s.h);
+    }
+    ctx.fill();
+    ctx.fillStyle = "rgba(255,138,154,0.9)";
+    for (let i = 0; i < n; i++) ctx.fillRect(Math.floor(sx + i * tw + tw / 2), s.y, 1, 2);
+  }
+
   function drawPlatform(p) {
-    const sx = Math.floor(p.x - camX);
-    drawTilesBar(sx, p.y, p.w, p.h);
+    // movers / falling platforms: interpolate back along the last tick's motion
+    const back = 1 - view.alpha;
+    let sx = Math.floor(p.x - p.dx * back - view.camX);
+    let sy = Math.floor(p.y - p.dy * back);
+
+    if (p.kind === "move") {
+      // faint rail showing the whole travel
+      const bx = Math.floor(p.baseX - view.camX);
+      ctx.fillStyle = "rgba(120,220,255,0.18)";
+      if (p.axis === "x") ctx.fillRect(bx, p.baseY + 4, p.w + p.amp, 2);
+      else ctx.fillRect(bx + Math.floor(p.w / 2) - 1, p.baseY - p.amp, 2, p.amp + p.h);
+    } else if (p.kind === "crumble" && p.crumbleAt && !p.falling) {
+      sx += Math.round(Math.random() * 2 - 1);
+    }
+
+    if (p.falling) ctx.globalAlpha = clamp(1 - (p.y - p.baseY) / 80, 0, 1);
+    drawTilesBar(sx, sy, p.w, p.h);
+
+    if (p.kind === "move") {
+      ctx.fillStyle = "rgba(120,220,255,0.75)";
+      ctx.fillRect(sx, sy + p.h - 1, p.w, 1);
+    } else if (p.kind === "crumble") {
+      ctx.fillStyle = "rgba(7,10,20,0.55)";
+      for (let i = 7; i < p.w - 4; i += 13) {
+        ctx.fillRect(sx + i, sy + 1, 1, 4);
+        ctx.fillRect(sx + i + 1, sy + 4, 1, 4);
+      }
+    }
+    ctx.globalAlpha = 1;
   }
 
-  function drawSwordPickup(tSec) {
-    if (!sword || !sword.active) return;
-    sword.bob += 0.08;
-    const bob = Math.sin(sword.bob) * 1.5;
+  function drawPickups() {
+    for (const pu of game.pickups) {
+      const x = Math.floor(pu.x - view.camX);
+      if (x < -20 || x > W + 20) continue;
+      drawPickupSprite(POWERUP[pu.type].sprite, x, Math.floor(pu.y + Math.sin(pu.bob) * 1.5));
+    }
+  }
 
-    const x = Math.floor(sword.x - camX);
-    const y = Math.floor(sword.y + bob);
+  // soul orbs: a flickering glow around a bright core
+  function drawOrbs(tSec) {
+    for (const o of game.orbs) {
+      const x = Math.floor(o.x - view.camX);
+      if (x < -10 || x > W + 10) continue;
+      const y = Math.floor(o.y + Math.sin(tSec * 4 + o.x * 0.05));
+      ctx.fillStyle = `rgba(120,220,255,${0.22 + Math.sin(tSec * 9 + o.x) * 0.08})`;
+      ctx.beginPath();
+      ctx.arc(x, y, o.r + 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "#d8f6ff";
+      ctx.beginPath();
+      ctx.arc(x, y, o.r - 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
 
+  // 10x12 pickup icons, for types without an image (or before it loads)
+  const PICKUP_SHAPES = {
+    sword(x, y) {
+      ctx.fillRect(x + 7, y + 1, 2, 10);
+      ctx.fillRect(x + 3, y + 10, 10, 2);
+    },
+    shield(x, y) {
+      ctx.fillRect(x + 1, y + 1, 8, 6);
+      ctx.fillRect(x + 2, y + 7, 6, 2);
+      ctx.fillRect(x + 3, y + 9, 4, 2);
+      ctx.fillStyle = "rgba(7,10,20,0.5)";
+      ctx.fillRect(x + 4, y + 2, 2, 7);
+    },
+    wings(x, y) {
+      ctx.fillRect(x, y + 3, 4, 2);
+      ctx.fillRect(x + 1, y + 5, 3, 2);
+      ctx.fillRect(x + 6, y + 3, 4, 2);
+      ctx.fillRect(x + 6, y + 5, 3, 2);
+      ctx.fillRect(x + 4, y + 4, 2, 6);
+    },
+    magnet(x, y) {
+      ctx.fillRect(x + 1, y + 1, 3, 9);
+      ctx.fillRect(x + 6, y + 1, 3, 9);
+      ctx.fillRect(x + 1, y + 8, 8, 3);
+      ctx.fillStyle = "#e8eefc";
+      ctx.fillRect(x + 1, y + 1, 3, 2);
+      ctx.fillRect(x + 6, y + 1, 3, 2);
+    },
+    hourglass(x, y) {
+      ctx.fillRect(x + 1, y, 8, 2);
+      ctx.fillRect(x + 1, y + 10, 8, 2);
+      ctx.fillRect(x + 2, y + 2, 6, 2);
+      ctx.fillRect(x + 3, y + 4, 4, 4);
+      ctx.fillRect(x + 2, y + 8, 6, 2);
+    },
+  };
+
+  function drawPickupSprite(sprite, x, y) {
     // glow
     ctx.globalAlpha = 0.18;
-    ctx.fillStyle = "rgba(230,240,255,1)";
+    ctx.fillStyle = sprite.color;
     ctx.fillRect(x - 2, y - 2, 14, 16);
     ctx.globalAlpha = 1;
 
-    if (AS.sword && AS.sword.width) ctx.drawImage(AS.sword, x, y);
-    else {
-      ctx.fillStyle = "#e8eefc";
-      ctx.fillRect(x + 7, y + 1, 2, 10);
-      ctx.fillRect(x + 3, y + 10, 10, 2);
+    const img = sprite.asset && AS[sprite.asset];
+    if (img && img.width) {
+      const frame = sprites.sheets[sprite.asset].frame;
+      if (frame) ctx.drawImage(img, 0, 0, frame.w, frame.h, x, y, frame.w, frame.h);
+      else ctx.drawImage(img, x, y);
+    } else {
+      ctx.fillStyle = sprite.color;
+      PICKUP_SHAPES[sprite.shape](x, y);
+    }
+  }
+
+  // What the active powers look like on the player
+  function drawPowerAuras(tSec) {
+    const cx = view.px + player.w / 2, cy = view.py + player.h / 2;
+    if (game.hasPower("shield")) {
+      ctx.globalAlpha = 0.35 + Math.sin(tSec * 6) * 0.1;
+      ctx.strokeStyle = POWERUP.shield.sprite.color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(cx, cy, 15, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    if (game.hasPower("magnet")) {
+      ctx.globalAlpha = 0.12;
+      ctx.strokeStyle = POWERUP.magnet.sprite.color;
+      ctx.beginPath();
+      ctx.arc(cx, cy, POWERUP.magnet.effects.magnet * (0.6 + ((tSec * 0.8) % 0.4)), 0, Math.PI * 2);
+      ctx.stroke();
     }
+    if (player.airJumps > 0 && !player.onGround) {
+      ctx.globalAlpha = 0.8;
+      ctx.fillStyle = POWERUP.double.sprite.color;
+      PICKUP_SHAPES.wings(Math.floor(cx - 5), Math.floor(view.py + player.h - 2));
+    }
+    ctx.globalAlpha = 1;
   }
 
   // Alan Becker-esque stickman: thick head, simple limbs, energetic poses.
-  function drawStickman(px, py, tSec) {
+  // The picked cosmetics (src/cosmetics.js). "Random" wears the color the run
+  // rolled; the rainbow look is only ever the player's pick, never the power roll
+  function playerLook() {
+    const look = cosmeticsLib.resolve(settings.cosmetics, hasAchievement);
+    if (!look.color) look.color = player.color;
+    return look;
+  }
+
+  // Everything drawStickman needs to know about a stickman (the player, or a shadow).
+  // Look fields (stroke, head, trail) are optional; `clock` (s) drives the run cycle
+  // where game time doesn't move (the cosmetics preview)
+  function playerPose() {
+    const look = playerLook();
+    return {
+      color: look.color,
+      rainbow: look.rainbow,
+      stroke: look.stroke,
+      head: look.head,
+      trail: look.trail,
+      speed: Math.abs(player.vx),
+      sprinting: player.sprinting,
+      onGround: player.onGround,
+      attacking: player.attackUntil > game.now,
+      attackDir: player.attackDir,
+      hasSword: game.hasPower("sword"),
+    };
+  }
+
+  function drawStickman(px, py, tSec, pose) {
     const x = Math.floor(px);
     const y = Math.floor(py);
 
-    // Rainbow variant: animate hue
-    let col = player.color;
-    if (player.rainbow) {
+    // Rainbow look: animate hue (just the look; the power is player.rainbow)
+    let col = pose.color;
+    if (pose.rainbow) {
       const hue = Math.floor((tSec * 180) % 360);
       col = hsl(hue, 95, 70);
     }
+    const stroke = pose.stroke || 2;
 
     // pose parameters
-    const speed = Math.abs(player.vx);
-    const runT = (now / 1000) * (player.sprinting ? 14 : 10);
+    const speed = pose.speed;
+    const clock = pose.clock !== undefined ? pose.clock : game.now / 1000;
+    const runT = clock * (pose.sprinting ? 14 : 10);
     const runSwing = Math.sin(runT) * clamp(speed / 140, 0, 1);
     const runSwing2 = Math.sin(runT + Math.PI) * clamp(speed / 140, 0, 1);
 
-    const jumping = !player.onGround;
-    const attacking = player.attackUntil > now;
+    const jumping = !pose.onGround;
+    const attacking = pose.attacking;
+
+    // trails go behind the body
+    if (pose.trail === "streaks" && speed > 60) {
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = col;
+      for (let k = 0; k < 3; k++) {
+        const len = Math.round(speed * 0.06 * (1 - k * 0.25));
+        ctx.fillRect(x - 2 - len, y + 6 + k * 5, len, 1);
+      }
+      ctx.globalAlpha = 1;
+    } else if (pose.trail === "sparks") {
+      ctx.fillStyle = col;
+      const drift = clamp(speed / 140, 0.3, 1);
+      for (let i = 0; i < 5; i++) {
+        const f = (clock * 2.5 + i / 5) % 1;
+        ctx.globalAlpha = 1 - f;
+        ctx.fillRect(Math.round(x + 2 - f * 18 * drift), Math.round(y + 18 - f * 8 + Math.sin(i * 2.3 + clock * 5) * 3), 1, 1);
+      }
+      ctx.globalAlpha = 1;
+    }
 
     // head
     const headR = 4;
     const headX = x + 6;
     const headY = y + 4;
 
-    ctx.lineWidth = 2;
+    ctx.lineWidth = stroke;
     ctx.lineCap = "round";
     ctx.strokeStyle = col;
 
@@ -768,14 +1210,35 @@
     const torsoBotY = y + 14;
 
     // slight lean forward when sprinting
-    const lean = (player.sprinting ? 0.9 : 0.5) * clamp(speed / 150, 0, 1);
+    const lean = (pose.sprinting ? 0.9 : 0.5) * clamp(speed / 150, 0, 1);
     const leanX = lean * 2.0;
 
     // Head fill (Alan Becker style is usually solid colored stickman)
+    const hx = headX + leanX;
     ctx.fillStyle = col;
-    ctx.beginPath();
-    ctx.arc(headX + leanX, headY, headR, 0, Math.PI * 2);
-    ctx.fill();
+    if (pose.head === "square") {
+      ctx.fillRect(hx - headR, headY - headR, headR * 2, headR * 2);
+    } else if (pose.head === "ring") {
+      ctx.beginPath();
+      ctx.arc(hx, headY, headR - stroke / 2, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      ctx.beginPath();
+      ctx.arc(hx, headY, headR, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    if (pose.head === "cap") {
+      // peak sticks out front
+      ctx.fillRect(hx - headR, headY - headR, headR * 2 + 3, 2);
+    } else if (pose.head === "halo") {
+      ctx.save();
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = accent;
+      ctx.beginPath();
+      ctx.ellipse(hx, headY - headR - 3, 4, 1.5, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
 
     // torso
     ctx.beginPath();
@@ -800,10 +1263,10 @@
     if (jumping) { a1 = -1.1; a2 = -0.2; } // jump pose
     if (attacking) {
       // swing toward attackDir
-      if (player.attackDir === "right") { a1 = 0.1; a2 = 0.3; }
-      if (player.attackDir === "left")  { a1 = Math.PI - 0.2; a2 = Math.PI - 0.4; }
-      if (player.attackDir === "up")    { a1 = -1.5; a2 = -1.2; }
-      if (player.attackDir === "down")  { a1 = 1.4; a2 = 1.2; }
+      if (pose.attackDir === "right") { a1 = 0.1; a2 = 0.3; }
+      if (pose.attackDir === "left")  { a1 = Math.PI - 0.2; a2 = Math.PI - 0.4; }
+      if (pose.attackDir === "up")    { a1 = -1.5; a2 = -1.2; }
+      if (pose.attackDir === "down")  { a1 = 1.4; a2 = 1.2; }
     }
 
     const arm = (ang, flip = 1) => {
@@ -843,33 +1306,62 @@
     leg(l2, -1);
 
     // Sword (when held): tiny line from hand in attack direction
-    if (player.hasSword) {
-      ctx.lineWidth = 1.5;
+    if (pose.hasSword) {
+      ctx.lineWidth = stroke * 0.75;
       const handX = shX + Math.cos(a1) * armLen;
       const handY = shY + Math.sin(a1) * armLen;
       let dx = 1, dy = 0;
-      if (player.attackDir === "left") { dx = -1; dy = 0; }
-      else if (player.attackDir === "up") { dx = 0; dy = -1; }
-      else if (player.attackDir === "down") { dx = 0; dy = 1; }
+      if (pose.attackDir === "left") { dx = -1; dy = 0; }
+      else if (pose.attackDir === "up") { dx = 0; dy = -1; }
+      else if (pose.attackDir === "down") { dx = 0; dy = 1; }
       ctx.beginPath();
       ctx.moveTo(handX, handY);
       ctx.lineTo(handX + dx * 10, handY + dy * 10);
       ctx.stroke();
-      ctx.lineWidth = 2;
+      ctx.lineWidth = stroke;
     }
 
-    // "Power" aura for rainbow
-    if (player.rainbow) {
+    // aura: a soft box in the stickman's color (offset hue on the rainbow look)
+    if (pose.trail === "aura") {
       ctx.globalAlpha = 0.18;
-      const hue = Math.floor((tSec * 180 + 120) % 360);
-      ctx.fillStyle = hsl(hue, 95, 70);
+      ctx.fillStyle = pose.rainbow ? hsl(Math.floor((tSec * 180 + 120) % 360), 95, 70) : col;
       ctx.fillRect(x - 2, y - 2, 16, 24);
       ctx.globalAlpha = 1;
     }
   }
 
   function drawPlayer(tSec) {
-    drawStickman(player.x, player.y, tSec);
+    drawStickman(view.px, view.py, tSec, playerPose());
+    drawPowerAuras(tSec);
+  }
+
+  // Translucent best run on this seed; an edge marker while it's off screen
+  function drawShadow(tSec, alpha) {
+    if (!rival || !game.started) return;
+    const i = simTick() - 1;
+    if (i < 0 || i >= rival.ticks) return; // gone: the shadow's run ended here
+
+    const j = Math.max(0, i - 1);
+    const sx = lerp(rival.x[j], rival.x[i], alpha) - view.camX;
+    const sy = lerp(rival.y[j], rival.y[i], alpha);
+
+    if (sx < -14 || sx > W + 2) {
+      const right = sx > W;
+      const ex = right ? W - 4 : 4;
+      const ey = clamp(sy + 10, 8, H - 8);
+      ctx.fillStyle = "rgba(200,215,255,0.6)";
+      ctx.beginPath();
+      ctx.moveTo(ex + (right ? 3 : -3), ey);
+      ctx.lineTo(ex + (right ? -2 : 2), ey - 4);
+      ctx.lineTo(ex + (right ? -2 : 2), ey + 4);
+      ctx.fill();
+      return;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    drawStickman(sx, sy, tSec, Object.assign(rival.pose(i), { color: SHADOW_COLOR, rainbow: false }));
+    ctx.restore();
   }
 
   function drawGhost(tSec) {
@@ -881,20 +1373,33 @@
       alpha = lerp(0.0, 0.95, p);
       scale = lerp(0.72, 1.0, p);
     }
+    const boss = game.boss;
+    if (boss.state === "rise") scale = lerp(1.0, BOSS_SCALE, clamp(boss.t / 1.2, 0, 1));
+    else if (boss.state === "fight") scale = BOSS_SCALE;
+    else if (boss.state === "fall") {
+      scale = BOSS_SCALE;
+      alpha = 0.95 * (1 - clamp(boss.t / 2, 0, 1));
+    }
+
+    // lunge wind-up: the ghost trembles (and its eyes flash, below)
+    const windup = ghost.state === "windup";
+    const jx = windup ? (Math.random() * 2 - 1) * 1.5 : 0;
+    const jy = windup ? (Math.random() * 2 - 1) * 1.5 : 0;
 
-    const gx = Math.floor(ghost.x + ghost.w * (1 - scale) * 0.5);
-    const gy = Math.floor(ghost.y + ghost.h * (1 - scale) * 0.5);
+    const gx = Math.floor(view.gx + ghost.w * (1 - scale) * 0.5 + jx);
+    const gy = Math.floor(view.gy + ghost.h * (1 - scale) * 0.5 + jy);
     const gw = Math.floor(ghost.w * scale);
     const gh = Math.floor(ghost.h * scale);
 
-    if (AS.ghost && AS.ghost.width) {
-      const fw = 64, fh = 64;
-      const cols = Math.max(1, Math.floor(AS.ghost.width / fw));
-      const fps = ghost.state === "lunge" ? 10 : 6;
-      const frame = Math.floor((now / 1000) * fps) % cols;
+    const sheet = sprites.sheets.ghost;
+    if (AS.ghost && AS.ghost.width && sheet && sheet.animations.idle) {
+      const { frame } = sheet;
+      const anim = sheet.animations[ghost.state] || sheet.animations.idle;
+      const cols = Math.max(1, Math.floor(AS.ghost.width / frame.w));
+      const r = spritesLib.frameRect(frame, spritesLib.frameAt(anim, game.now / 1000), cols);
 
       ctx.globalAlpha = alpha;
-      ctx.drawImage(AS.ghost, frame * fw, 0, fw, fh, gx, gy, 64 * scale, 64 * scale);
+      ctx.drawImage(AS.ghost, r.x, r.y, r.w, r.h, gx, gy, frame.w * scale, frame.h * scale);
       ctx.globalAlpha = 1;
     } else {
       ctx.globalAlpha = alpha;
@@ -903,6 +1408,13 @@
       ctx.globalAlpha = 1;
     }
 
+    if (boss.state !== "off") drawBossGhost(gx, gy, gw, gh, alpha, tSec);
+    else if (windup && Math.floor(tSec * 14) % 2 === 0) {
+      ctx.fillStyle = "#ff4a5a";
+      ctx.fillRect(gx + gw * 0.55, gy + gh * 0.3, 5, 4);
+      ctx.fillRect(gx + gw * 0.75, gy + gh * 0.3, 5, 4);
+    }
+
     // simple "whoosh" ring on spawn
     if (ghost.state === "spawn") {
       const p = clamp((tSec - ghost.spawnedAt) / 1.0, 0, 1);
@@ -916,9 +1428,134 @@
     }
   }
 
+  // ===================== Boss =====================
+  const BOSS_SCALE = 1.3;
+  const BOSS_RED = "rgba(255,70,100,1)";
+
+  // the transformed ghost: a red cast, horns and eyes that flash while an attack winds up
+  function drawBossGhost(gx, gy, gw, gh, alpha, tSec) {
+    const boss = game.boss;
+    const hurt = boss.hurtUntil > game.now;
+    ctx.globalAlpha = alpha * (hurt ? 0.6 : 0.32);
+    ctx.fillStyle = hurt ? "#ffffff" : BOSS_RED;
+    ctx.fillRect(gx + 4, gy + 6, gw - 8, gh - 10);
+
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = "#3a1020";
+    ctx.fillRect(gx + 8, gy - 4, 4, 8);
+    ctx.fillRect(gx + gw - 12, gy - 4, 4, 8);
+
+    const telling = boss.attack && boss.attack.stage === "tell";
+    ctx.fillStyle = telling && Math.floor(tSec * 12) % 2 ? "#ffffff" : BOSS_RED;
+    ctx.fillRect(gx + gw * 0.55, gy + gh * 0.3, 5, 4);
+    ctx.fillRect(gx + gw * 0.75, gy + gh * 0.3, 5, 4);
+    ctx.globalAlpha = 1;
+  }
+
+  // telegraphs and active attacks, screen space (see core's Boss section)
+  function drawBossAttack(tSec) {
+    const boss = game.boss;
+    const a = boss.attack;
+    if (boss.state !== "fight" || !a) return;
+    const blink = Math.floor(tSec * 10) % 2 === 0;
+
+    if (a.type === "sweep") {
+      if (a.stage === "tell") {
+        // the path it's about to cut: everything above the safe strip along the ground
+        ctx.globalAlpha = blink ? 0.16 : 0.08;
+        ctx.fillStyle = BOSS_RED;
+        ctx.fillRect(20, 0, W - 20, core.groundY - 26);
+      } else if (a.stage === "act") {
+        const hz = game.bossHazard();
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = BOSS_RED;
+        ctx.fillRect(hz.x - 12, hz.y, 12, hz.h);
+        ctx.globalAlpha = 0.95;
+        ctx.fillStyle = "#ffd6de";
+        ctx.fillRect(hz.x, hz.y, hz.w, hz.h);
+      }
+    } else if (a.type === "grab") {
+      const y = core.groundY;
+      if (a.stage === "tell") {
+        // shadows of the hands under the ground
+        ctx.globalAlpha = blink ? 0.5 : 0.3;
+        ctx.fillStyle = "#1a0810";
+        for (let x = 24; x < W; x += 22) ctx.fillRect(x, y, 12, 3);
+      } else if (a.stage === "act") {
+        const hz = game.bossHazard();
+        const rise = clamp(a.t / 0.15, 0, 1) * hz.h;
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = "#d8c8e8";
+        for (let x = 24; x < W; x += 22) {
+          ctx.fillRect(x + 3, y - rise, 6, rise);
+          ctx.fillRect(x, y - rise, 3, 5);
+          ctx.fillRect(x + 9, y - rise, 3, 5);
+        }
+      }
+    } else if (a.stage === "tell") {
+      // volley: charge glow on the ghost
+      const r = 4 + (a.t / 0.8) * 10;
+      ctx.globalAlpha = 0.5;
+      ctx.fillStyle = "rgba(140,200,255,1)";
+      ctx.beginPath();
+      ctx.arc(view.gx + ghost.w * BOSS_SCALE - 6, view.gy + ghost.h * 0.45, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function drawBossBar() {
+    const boss = game.boss;
+    if (boss.state !== "rise" && boss.state !== "fight") return;
+    const fill = boss.state === "rise" ? clamp(boss.t / 1.5, 0, 1) : boss.hp / boss.maxHp;
+    ui.text(ctx, "THE GHOST", W / 2, 6, { color: BOSS_RED, align: "center" });
+    ui.bar(ctx, W / 2 - 70, 15, 140, 4, fill, BOSS_RED);
+  }
+
+  // Enemies are in screen space like the ghost; dx/dy is the last tick's move
+  function drawEnemies(tSec) {
+    const k = 1 - view.alpha;
+    for (const e of game.enemies) {
+      const x = Math.floor(e.x - e.dx * k), y = Math.floor(e.y - e.dy * k);
+      if (e.type === "wisp") {
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = "rgba(170,255,230,1)";
+        ctx.fillRect(x - 2, y - 2, 12, 12);
+        ctx.globalAlpha = 0.9;
+        ctx.fillRect(x + 1, y + 1, 6, 6);
+        ctx.fillRect(x + 7, y + 3, 3, 2); // tail
+        ctx.globalAlpha = 1;
+      } else if (e.type === "bat") {
+        const flap = Math.sin(tSec * (e.state === "drop" ? 18 : 28)) > 0;
+        ctx.fillStyle = "#2b2438";
+        ctx.fillRect(x + 4, y + 2, 4, 5);
+        if (flap) {
+          ctx.fillRect(x, y, 4, 3);
+          ctx.fillRect(x + 8, y, 4, 3);
+        } else {
+          ctx.fillRect(x, y + 4, 4, 3);
+          ctx.fillRect(x + 8, y + 4, 4, 3);
+        }
+        // red eyes while it's lining up the swoop
+        ctx.fillStyle = e.state === "drop" && Math.floor(tSec * 8) % 2 ? "#ffffff" : "#ff4a5a";
+        ctx.fillRect(x + 4, y + 3, 1, 1);
+        ctx.fillRect(x + 7, y + 3, 1, 1);
+      } else {
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = "rgba(120,180,255,1)";
+        ctx.fillRect(x - Math.sign(e.vx) * 6, y + 1, 8, 6); // trail
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = "#8cc8ff";
+        ctx.fillRect(x, y, 8, 8);
+        ctx.fillStyle = "#eaf6ff";
+        ctx.fillRect(x + 2, y + 2, 4, 4);
+      }
+    }
+  }
+
   function drawAttackEffect() {
-    if (player.attackUntil <= now) return;
-    const x = player.x, y = player.y;
+    if (player.attackUntil <= game.now) return;
+    const x = view.px, y = view.py;
     ctx.fillStyle = "rgba(230,240,255,0.98)";
     if (player.attackDir === "right") ctx.fillRect(x + player.w, y + 7, 18, 2);
     else if (player.attackDir === "left") ctx.fillRect(x - 18, y + 7, 18, 2);
@@ -927,344 +1564,926 @@
   }
 
   function drawHUD(tSec) {
-    const swordIn = Math.max(0, nextSwordSpawnAt - tSec);
-    const swordLine = sword && sword.active ? "Sword: ON MAP" : `Next sword: ${swordIn.toFixed(1)}s`;
+    const swordIn = Math.max(0, game.nextPickupAt("sword") - tSec);
+    const swordLine = game.pickups.some((pu) => pu.type === "sword") ? "Sword: ON MAP" : `Next sword: ${swordIn.toFixed(1)}s`;
 
-    const phase = tSec < PH1 ? 1 : tSec < PH2 ? 2 : tSec < PH3 ? 3 : 4;
+    const phase = game.phase;
 
     let status =
-      `Time: ${started ? tSec.toFixed(2) : "0.00"}s\n` +
-      `Best: ${best.toFixed(2)}s\n` +
-      `Repels: ${ghostsRepelled}\n` +
+      `Time: ${game.started ? tSec.toFixed(2) : "0.00"}s\n` +
+      `Best: ${game.best.toFixed(2)}s\n` +
+      `Score: ${game.score}  (best ${game.bestScore})\n` +
+      `Repels: ${game.ghostsRepelled}\n` +
       `${swordLine}\n`;
 
-    status += player.hasSword
-      ? `Sword: ${Math.max(0, (player.swordUntil - now) / 1000).toFixed(1)}s  Combo: ${player.combo}`
+    status += game.hasPower("sword")
+      ? `Sword: ${(game.powerLeft("sword") / 1000).toFixed(1)}s  Combo: ${player.combo}`
       : "No sword";
 
+    const powers = powerupLib.POWERUPS
+      .filter((def) => def.id !== "sword" && game.hasPower(def.id))
+      .map((def) => `${def.label} ${(game.powerLeft(def.id) / 1000).toFixed(1)}s`);
+    if (powers.length) status += `\nPowers: ${powers.join("  ")}`;
+
     status += `\nPhase: ${phase}  Ghost: ${ghost.state.toUpperCase()}`;
+    status += `\nDifficulty: ${difficultyLib.LABELS[game.difficulty.name]}`;
+    status += `\nSeed: ${game.seed} (${replay ? "replay" : seedSource.label})`;
     status += `\nPlayer: ${player.rainbow ? "RAINBOW POWER (1%)" : "Normal"}`;
     status += `\nAssets: ${assetSummary()}`;
-    status += `\nSound: ${audioEnabled ? "ON" : "OFF (click game / press key)"}`;
+    status += `\nSound: ${!audioEnabled ? "OFF (click game / press key)" : settings.mute ? "MUTED" : "ON"}`;
+    status += `\nGamepad: ${input.padId ? "connected" : "none"}`;
 
-    if (!started && !gameOver) status += `\n\nPress SPACE / ↑ to start`;
-    if (gameOver) status += `\n\nGAME OVER\n${gameOverReason}\nPress R`;
+    const delta = replay ? null : shadowDelta();
+    if (delta !== null) {
+      const sign = delta >= 0 ? "+" : "-";
+      status += `\nShadow: ${sign}${Math.abs(delta).toFixed(2)}s ${delta >= 0 ? "AHEAD" : "BEHIND"} (best ${rival.time.toFixed(2)}s)`;
+    }
 
     hudEl.textContent = status;
   }
 
-  // ===================== Physics collision =====================
-  function landOn(p, impactVy) {
-    player.y = p.y - player.h;
-    player.vy = 0;
-    player.onGround = true;
-    player.coyote = COYOTE_TIME;
-
-    // landing juice (only if you were falling fast enough)
-    if (impactVy > 320) {
-      spawnParticles(player.x + 6, player.y + player.h, 10, {
-        vx: 120, vy: 140, grav: 520,
-        color: player.rainbow ? "hsl(200 95% 70%)" : "rgba(230,240,255,1)"
-      });
-      addShake(2, 0.08);
+  // ===================== Draw =====================
+  function draw(alpha) {
+    // screens that paint everything themselves (the editor)
+    if (!flow.world) {
+      flow.draw();
+      return;
     }
-  }
 
-  // ===================== Step =====================
-  function step(dt) {
-    tickMusic();
-    const tSec = (now - startedAt) / 1000;
+    const tSec = game.tSec;
+    updateView(alpha);
 
-    ensureGroundAhead();
-    ensurePlatformsAhead();
-    maybeSpawnSword(tSec);
+    // shake offset (decays per tick in updateEffects)
+    let ox = 0, oy = 0;
+    if (shakeT > 0) {
+      const a = shakeT / 0.25;
+      const mag = shakeMag * clamp(a, 0, 1);
+      ox = (Math.random() * 2 - 1) * mag;
+      oy = (Math.random() * 2 - 1) * mag;
+    }
 
-    if (wasPressed("r")) restart();
+    ctx.save();
+    ctx.translate(ox, oy);
 
-    if (!started && !gameOver) {
-      const startPressed = wasPressed(" ") || wasPressed("arrowup") || wasPressed("d") || wasPressed("arrowright");
-      if (startPressed) {
-        started = true;
-        ensureAudio();
+    drawBackground(tSec);
 
-        // ghost spawn sfx + particles
-        ghost.state = "spawn";
-        ghost.stateTime = 0;
-        ghost.spawnedAt = tSec;
-        sfx("ghostspawn");
-        spawnParticles(18, 92, 22, { vx: 120, vy: 150, grav: 420, color: "rgba(190,210,255,1)" });
-        addFlash(0.08);
-      } else {
-        return;
-      }
+    // draw ground
+    for (const g of ground) {
+      const sx = Math.floor(g.x - view.camX);
+      if (sx + g.w < -150 || sx > W + 150) continue;
+      drawGroundSeg(g);
+    }
+    for (const s of game.spikes) {
+      const sx = Math.floor(s.x - view.camX);
+      if (sx + s.w < -20 || sx > W + 20) continue;
+      drawSpikes(s);
     }
-    if (gameOver) return;
 
-    // Handle flash/tint timers
-    if (flashT > 0) flashT = Math.max(0, flashT - dt);
-    if (lungeTintT > 0) lungeTintT = Math.max(0, lungeTintT - dt);
+    // draw platforms
+    for (const p of platforms) {
+      const sx = Math.floor(p.x - view.camX);
+      if (sx + p.w < -150 || sx > W + 150) continue;
+      drawPlatform(p);
+    }
 
-    const jumpPressed = wasPressed(" ") || wasPressed("arrowup");
-    const attackPressed = wasPressed("x");
+    drawPickups();
+    drawOrbs(tSec);
+    drawGhost(tSec);
+    drawBossAttack(tSec);
+    drawEnemies(tSec);
+    if (!replay) drawShadow(tSec, alpha);
+    drawPlayer(tSec);
+    drawAttackEffect();
+    drawParticles();
+    drawPopups();
 
-    // coyote/buffer
-    player.coyote -= dt;
-    player.jumpBuffer -= dt;
-    if (jumpPressed) player.jumpBuffer = JUMP_BUFFER;
+    // slow-time tint
+    if (game.slow < 1) {
+      ctx.fillStyle = `rgba(120,90,200,${(1 - game.slow) * 0.25})`;
+      ctx.fillRect(0, 0, W, H);
+    }
 
-    // sprinting
-    player.sprinting = keys.has("shift");
+    // flash overlay
+    if (flashT > 0) {
+      const a = clamp(flashT / 0.12, 0, 1) * 0.22;
+      ctx.fillStyle = `rgba(255,255,255,${a})`;
+      ctx.fillRect(0, 0, W, H);
+    }
 
-    // horizontal
-    const right = keys.has("arrowright") || keys.has("d");
-    const left = keys.has("arrowleft") || keys.has("a");
-    const ax = 900 * (player.sprinting ? 1.08 : 1.0);
-    if (right) player.vx += ax * dt;
-    if (left) player.vx -= ax * dt;
+    ctx.restore();
 
-    const moveDamp = player.onGround ? MOVE_GROUND : MOVE_AIR;
-    player.vx *= moveDamp;
+    drawBossBar();
+    if (flow.hud) drawHUD(tSec);
+    flow.draw();
+    drawToast();
+    touch.draw(ctx);
+  }
 
-    const speedCap = (player.sprinting ? 220 : 180) * player.power;
-    player.vx = clamp(player.vx, -speedCap * 0.9, speedCap);
+  // ===================== Screens =====================
+  // Each flow state (src/flow.js) owns its input and its canvas screen; the world
+  // keeps drawing underneath. The DOM HUD only shows during a run / replay.
+  const { text } = ui;
+  const { muted, accent, bad } = ui.COLORS;
 
-    // integrate
-    const preVy = player.vy;
-    player.vy += GRAVITY * dt;
-    player.x += player.vx * dt;
-    player.y += player.vy * dt;
+  let startQueued = false; // feed a jump into the next live tick: that's what starts the run
 
-    // keep in lane (intentionally a "runner" lane)
-    player.x = clamp(player.x, 30, 175);
+  function startRun() {
+    startQueued = true;
+    flow.go("playing");
+  }
 
-    // collisions: ground + platforms
-    player.onGround = false;
+  function retry() {
+    restart();
+    startRun();
+  }
 
-    const worldP = { x: player.x + camX, y: player.y, w: player.w, h: player.h };
-    const prevY = player.y - player.vy * dt;
-    const wasAbove = prevY + player.h;
+  function autoPause() {
+    if (flow.is("playing")) flow.go("paused");
+  }
+  document.addEventListener("visibilitychange", () => { if (document.hidden) autoPause(); });
+  window.addEventListener("blur", autoPause);
+
+  // Loads every sheet with a progress bar. If any fail, each can be retried from
+  // the list; "Continue" plays with procedural stand-ins for the rest.
+  const BOOT_LIST_Y = 66;
+  let booted = false;
+
+  function finishBoot() {
+    if (booted) return;
+    booted = true;
+    useFallbacks();
+    restart();
+    flow.go(editorParam === null ? "title" : "editor");
+  }
 
-    const skin = 6;
-    let landed = false;
+  const bootMenu = ui.createMenu([
+    { label: "Continue with stand-in art", run: finishBoot, when: () => !assetsLoading() },
+    { label: "Retry all", run: () => assetsFailed().forEach(loadAsset), when: () => !assetsLoading() },
+    ...assetNames.map((name) => ({
+      label: assetList[name],
+      run: () => { if (assetStatus[name] === "failed") loadAsset(name); },
+    })),
+  ], { x: 40, y: BOOT_LIST_Y, rowH: 9, width: W - 80, align: "left", wrap: false });
+
+  const BOOT_STATUS = {
+    loading: ["loading", muted],
+    ok: ["ok", muted],
+    failed: ["failed - retry", bad],
+  };
 
-    // ---- land on ground segments ----
-    for (const g of ground) {
-      if (worldP.x + worldP.w > g.x && worldP.x < g.x + g.w) {
-        const wasAboveGround = wasAbove <= g.y + 1;
-        const isFalling = player.vy >= 0;
-        const hitsTop = player.y + player.h >= g.y && player.y + player.h <= g.y + skin;
-        if (wasAboveGround && isFalling && hitsTop) {
-          landOn(g, preVy);
-          landed = true;
-          break;
-        }
-      }
-    }
+  const bootState = {
+    enter() {
+      assetNames.forEach(loadAsset);
+    },
+    update() {
+      if (assetsLoading()) return;
+      if (!assetsFailed().length) { finishBoot(); return; }
+      bootMenu.update(input);
+    },
+    tap(p) {
+      if (!assetsLoading()) bootMenu.tap(p);
+    },
+    draw() {
+      ui.shade(ctx, W, H, 1);
+      text(ctx, "GHOST CHASE", W / 2, 20, { size: 16, align: "center" });
+      const done = assetNames.filter((n) => assetStatus[n] !== "loading").length;
+      ui.bar(ctx, 80, 44, W - 160, 4, done / assetNames.length);
+      const failed = assetsFailed().length;
+      const line = assetsLoading() ? `Loading ${done}/${assetNames.length}` : `${failed} image${failed === 1 ? "" : "s"} failed to load`;
+      text(ctx, line, W / 2, 52, { color: assetsLoading() ? muted : bad, align: "center" });
+
+      // asset rows sit below Continue / Retry all, which only show once loading settles
+      const loading = assetsLoading();
+      if (!loading) bootMenu.draw(ctx);
+      assetNames.forEach((name, i) => {
+        const y = BOOT_LIST_Y + (i + 2) * 9;
+        const [label, color] = BOOT_STATUS[assetStatus[name]];
+        if (loading) text(ctx, assetList[name], 50, y, { color: muted });
+        text(ctx, label, W - 44, y, { color, align: "right" });
+      });
+    },
+  };
 
-    // ---- land on platforms ----
-    if (!landed) {
-      for (const p of platforms) {
-        if (worldP.x + worldP.w > p.x && worldP.x < p.x + p.w) {
-          const wasAbovePlat = wasAbove <= p.y + 1;
-          const isFalling = player.vy >= 0;
-          const hitsTop = player.y + player.h >= p.y && player.y + player.h <= p.y + skin;
-          if (wasAbovePlat && isFalling && hitsTop) {
-            landOn(p, preVy);
-            landed = true;
-            break;
-          }
-        }
-      }
-    }
+  // jump on "Play" starts right away, so Space / ↑ / A still just play
+  const titleMenu = ui.createMenu([
+    { label: "Play", run: startRun },
+    { label: "Watch last run", run: () => startReplay(lastReplay), when: () => !!lastReplay },
+    { label: "Watch best run", run: () => startReplay(loadStoredReplay("gc_replay_best")), when: () => hasBestReplay },
+    { label: "Load replay file", run: pickReplayFile },
+    { label: "Leaderboard", run: () => flow.go("leaderboard", { back: "title" }) },
+    { label: "Stats", run: () => flow.go("stats", { back: "title" }) },
+    { label: "Achievements", run: () => flow.go("achievements", { back: "title" }) },
+    { label: "Cosmetics", run: () => flow.go("cosmetics", { back: "title" }) },
+    { label: "Controls", run: () => flow.go("controls", { back: "title" }) },
+    { label: "Settings", run: () => flow.go("settings", { back: "title" }) },
+  ], { y: 52, rowH: 9, wrap: false });
+
+  const titleState = {
+    enter() {
+      startQueued = false;
+      // back from a run or a replay: fresh course behind the title
+      if (game.started) restart();
+      titleMenu.reset();
+    },
+    update() {
+      if (titleMenu.sel === 0 && input.wasPressed("jump")) { startRun(); return; }
+      if (handleMenuShortcuts()) return;
+      titleMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H, 0.55);
+      text(ctx, "GHOST CHASE", W / 2, 20, { size: 16, align: "center" });
+      text(ctx, `${difficultyLib.LABELS[game.difficulty.name]}  ·  Best ${game.best.toFixed(2)}s  ·  Seed ${game.seed} (${seedSource.label})`, W / 2, 40, { color: muted, align: "center" });
+      titleMenu.draw(ctx);
+      const hint = touch.visible ? "Tap ▲ or Play to start" : "Space / ↑ to play  ·  ↓ for more";
+      text(ctx, hint, W / 2, H - 16, { color: muted, align: "center" });
+    },
+    tap: (p) => titleMenu.tap(p),
+  };
 
-    // fall death
-    if (player.y > H + 60) triggerGameOver("You fell!");
+  const playingState = {
+    hud: true,
+    timeScale: () => 1,
+    update() {
+      if (input.wasPressed("pause") || input.uiPressed("back")) flow.go("paused");
+      else if (input.wasPressed("restart")) retry();
+      input.consume("pause");
+      input.consume("restart");
+    },
+  };
 
-    // jump (with dust)
-    if (player.jumpBuffer > 0 && player.coyote > 0) {
-      // dust at feet
-      spawnParticles(player.x + 6, player.y + player.h, 8, {
-        vx: 90, vy: 120, grav: 520,
-        color: player.rainbow ? "hsl(60 95% 70%)" : "rgba(230,240,255,1)"
+  const pauseMenu = ui.createMenu([
+    { label: "Resume", run: () => flow.go("playing") },
+    { label: "Restart", run: retry },
+    { label: "Controls", run: () => flow.go("controls", { back: "paused" }) },
+    { label: "Settings", run: () => flow.go("settings", { back: "paused" }) },
+    { label: "Quit to title", run: () => flow.go("title") },
+  ], { y: 70 });
+
+  const pausedState = {
+    hud: true,
+    enter(arg, from) {
+      if (from === "playing") pauseMenu.reset();
+    },
+    update() {
+      if (input.wasPressed("pause") || input.uiPressed("back")) flow.go("playing");
+      else if (input.wasPressed("restart")) retry();
+      else pauseMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H, 0.6);
+      text(ctx, "PAUSED", W / 2, 44, { size: 16, align: "center" });
+      pauseMenu.draw(ctx);
+    },
+    tap: (p) => pauseMenu.tap(p),
+  };
+
+  // a jump mashed at the moment of death shouldn't skip the results
+  const RESULTS_INPUT_DELAY = 0.6;
+  let results = null;
+  let resultsAge = 0;
+
+  const resultsMenu = ui.createMenu([
+    { label: "Retry", run: retry },
+    { label: "Race your shadow", run: () => { restart(game.seed); startRun(); }, when: () => !seedSource.fixed },
+    { label: "Watch replay", run: () => startReplay(lastReplay), when: () => !!lastReplay },
+    { label: "Export replay", run: exportLastReplay, when: () => !!lastReplay },
+    { label: "Leaderboard", run: () => flow.go("leaderboard", { back: "results", highlight: results.rank, difficulty: results.difficulty, course: results.course }) },
+    { label: "Title", run: () => flow.go("title") },
+  ], { y: 110, rowH: 10, width: 160 });
+
+  const resultsState = {
+    timeScale: () => 1, // the sim is over, but particles and shake settle
+    enter(info, from) {
+      // (back from the leaderboard: same results, same menu position)
+      if (from === "leaderboard") return;
+      results = info;
+      resultsAge = 0;
+      resultsMenu.reset();
+    },
+    update(dt) {
+      resultsAge += dt;
+      if (resultsAge < RESULTS_INPUT_DELAY) return;
+      if (input.wasPressed("restart")) { retry(); return; }
+      if (handleMenuShortcuts()) return;
+      resultsMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H, 0.5);
+      ui.panel(ctx, 60, 12, W - 120, 94);
+      text(ctx, "GAME OVER", W / 2, 16, { size: 16, align: "center" });
+      text(ctx, results.reason, W / 2, 36, { color: bad, align: "center" });
+      text(ctx, `Time  ${results.time.toFixed(2)}s`, 76, 50);
+      text(ctx, results.isBest ? "NEW BEST!" : `Best  ${game.best.toFixed(2)}s`, W - 76, 50, { color: results.isBest ? accent : ui.COLORS.text, align: "right" });
+      text(ctx, `Score  ${results.score}`, 76, 62);
+      text(ctx, results.isBestScore ? "NEW BEST!" : `Best  ${game.bestScore}`, W - 76, 62, { color: results.isBestScore ? accent : ui.COLORS.text, align: "right" });
+      text(ctx, `Repels  ${results.repels}`, 76, 74);
+      text(ctx, `Phase  ${results.phase}`, W - 76, 74, { align: "right" });
+      const placed = results.rank ? `#${results.rank} on the leaderboard  ·  ` : "";
+      text(ctx, `${placed}Seed ${results.seed}`, W / 2, 90, { color: results.rank ? accent : muted, align: "center" });
+      if (resultsAge >= RESULTS_INPUT_DELAY) resultsMenu.draw(ctx);
+    },
+    tap: (p) => resultsAge >= RESULTS_INPUT_DELAY && resultsMenu.tap(p),
+  };
+
+  // ---- leaderboard / stats ----
+  const CAUSE_LABELS = {
+    "The ghost caught you!": "ghost",
+    "You fell!": "fell",
+    "Impaled on spikes!": "spikes",
+    "Squashed by a moving platform!": "squashed",
+    "The platform crumbled under you!": "crumbled",
+    "A wisp got you!": "wisp",
+    "A bat swooped down on you!": "bat",
+    "Burned by a ghost fireball!": "fireball",
+    "Cut down by the ghost's sweep!": "sweep",
+    "Dragged under by the ghost's hands!": "grab",
+  };
+  const causeLabel = (reason) => CAUSE_LABELS[reason] || reason.replace(/[!.]$/, "").slice(0, 12);
+
+  const LB_ROWS = 13; // visible rows; the rest scroll
+  const LB_COLS = [
+    ["#", 6], ["Time", 20], ["Score", 52], ["Rep", 80], ["Cmb", 98], ["Swd", 114], ["Ph", 130], ["Cause", 142], ["Seed", 194], ["Date", 242], ["", 292],
+  ];
+  let lbBack = "title";
+  let lbScroll = 0;
+  let lbHighlight = 0;
+  let lbDifficulty = "normal"; // one board per difficulty, ←/→ switches
+  let lbCourse = "normal";     // its key: custom shows the board for one set of values
+
+  // a custom board is the current custom settings' (or the finished run's)
+  const courseFor = (name) => difficultyLib.courseKey(difficultyLib.resolve(name, settings.customDifficulty));
+
+  const leaderboardState = {
+    enter(arg) {
+      lbBack = arg.back;
+      lbHighlight = arg.highlight || 0;
+      lbDifficulty = arg.difficulty || game.difficulty.name;
+      lbCourse = arg.course || difficultyLib.courseKey(game.difficulty);
+      lbScroll = clamp(lbHighlight - LB_ROWS, 0, Math.max(0, records.leaderboardFor(lbCourse).length - LB_ROWS));
+    },
+    update() {
+      const maxScroll = Math.max(0, records.leaderboardFor(lbCourse).length - LB_ROWS);
+      if (input.uiPressed("up")) lbScroll = Math.max(0, lbScroll - 1);
+      if (input.uiPressed("down")) lbScroll = Math.min(maxScroll, lbScroll + 1);
+      const d = input.uiPressed("left") ? -1 : input.uiPressed("right") ? 1 : 0;
+      if (d) {
+        const names = difficultyLib.NAMES;
+        lbDifficulty = names[(names.indexOf(lbDifficulty) + d + names.length) % names.length];
+        lbCourse = courseFor(lbDifficulty);
+        lbScroll = 0;
+        lbHighlight = 0;
+      }
+      if (input.uiPressed("back") || input.uiPressed("confirm")) flow.go(lbBack);
+    },
+    draw() {
+      ui.shade(ctx, W, H);
+      text(ctx, "LEADERBOARD", W / 2, 8, { size: 16, align: "center" });
+      text(ctx, `◀ ${difficultyLib.LABELS[lbDifficulty]} ▶`, W - 8, 12, { color: accent, align: "right" });
+      const runs = records.leaderboardFor(lbCourse);
+      if (!runs.length) {
+        text(ctx, "No runs yet. Go survive!", W / 2, 80, { color: muted, align: "center" });
+      }
+      if (runs.length) for (const [h, x] of LB_COLS) text(ctx, h, x, 28, { color: muted, size: 7 });
+      runs.slice(lbScroll, lbScroll + LB_ROWS).forEach((r, i) => {
+        const rank = lbScroll + i + 1;
+        const y = 38 + i * 9;
+        const color = rank === lbHighlight ? accent : ui.COLORS.text;
+        const cells = [
+          rank, `${r.time.toFixed(2)}s`, r.score === undefined ? "-" : r.score, r.repels, r.maxCombo, r.swords, r.phase,
+          causeLabel(r.reason), r.seed, r.date.slice(0, 10), r.rainbow ? "★" : "",
+        ];
+        cells.forEach((c, j) => text(ctx, String(c), LB_COLS[j][1], y, { color, size: 7 }));
       });
+      const more = runs.length > LB_ROWS ? "↑/↓ scroll  ·  " : "";
+      text(ctx, `${more}←/→ difficulty  ·  Esc / Enter back`, W / 2, H - 14, { color: muted, align: "center" });
+    },
+    tap: () => flow.go(lbBack),
+  };
 
-      player.vy = -JUMP_V * player.power;
-      player.onGround = false;
-      player.coyote = 0;
-      player.jumpBuffer = 0;
-      sfx("jump");
-    }
+  function formatDuration(sec) {
+    const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60), s = Math.floor(sec % 60);
+    return h ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m ${String(s).padStart(2, "0")}s`;
+  }
+
+  let statsBack = "title";
 
-    // variable jump
-    const jumpHeld = keys.has(" ") || keys.has("arrowup");
-    if (!jumpHeld && player.vy < 0) player.vy *= JUMP_CUT;
+  const statsState = {
+    enter(arg) {
+      statsBack = arg.back;
+    },
+    update() {
+      if (input.uiPressed("back") || input.uiPressed("confirm")) flow.go(statsBack);
+    },
+    draw() {
+      const s = records.stats;
+      ui.shade(ctx, W, H);
+      text(ctx, "STATS", W / 2, 8, { size: 16, align: "center" });
+
+      const rows = [
+        ["Runs", String(s.runs)],
+        ["Time played", formatDuration(s.totalTime)],
+        ["Average run", s.runs ? `${(s.totalTime / s.runs).toFixed(2)}s` : "-"],
+        // game.best is per difficulty (and custom values): say which, as the title does
+        [`Best run (${difficultyLib.LABELS[game.difficulty.name]})`, `${game.best.toFixed(2)}s`],
+        ["Playing since", s.firstPlayed ? s.firstPlayed.slice(0, 10) : "-"],
+      ];
+      rows.forEach(([k, v], i) => {
+        text(ctx, k, 60, 32 + i * 11, { color: muted });
+        text(ctx, v, W - 60, 32 + i * 11, { align: "right" });
+      });
 
-    // Attack direction toward ghost
-    if (attackPressed && player.hasSword && player.attackUntil <= now) {
-      player.attackUntil = now + 140;
+      text(ctx, "Deaths by cause", 60, 96, { color: muted });
+      const causes = Object.entries(s.deaths).sort((a, b) => b[1] - a[1]).slice(0, 5);
+      causes.forEach(([reason, n], i) => {
+        const y = 108 + i * 11;
+        text(ctx, causeLabel(reason), 60, y);
+        ui.bar(ctx, 120, y + 2, 100, 3, n / s.runs, bad);
+        text(ctx, String(n), W - 60, y, { align: "right" });
+      });
 
-      const px = player.x + player.w / 2, py = player.y + player.h / 2;
-      const gx = ghost.x + ghost.w / 2, gy = ghost.y + ghost.h / 2;
-      const dx = gx - px, dy = gy - py;
+      text(ctx, "Esc / Enter back", W / 2, H - 14, { color: muted, align: "center" });
+    },
+    tap: () => flow.go(statsBack),
+  };
 
-      if (Math.abs(dx) > Math.abs(dy)) player.attackDir = dx > 0 ? "right" : "left";
-      else player.attackDir = dy > 0 ? "down" : "up";
+  // ---- achievements ----
+  // Only live runs count: not replays (they already counted), editor tests, or a
+  // custom difficulty (which can be tuned to hand them out)
+  const TOAST_TIME = 3.5; // s a toast stays up; unlocks at the same moment queue
+  const toasts = [];      // [{ def, age }], the first one is showing
+
+  function onGameEvent(type, stats) {
+    if (replay || game.course || stats.difficulty === "custom") return;
+    for (const def of achievements.handle(type, stats)) {
+      toasts.push({ def, age: 0 });
+      sfx("achievement");
     }
+  }
 
-    // pickup sword
-    if (sword && sword.active) {
-      const swordBox = { x: sword.x - camX, y: sword.y, w: sword.w, h: sword.h };
-      const playerBox = { x: player.x, y: player.y, w: player.w, h: player.h };
-      if (aabb(playerBox, swordBox)) {
-        sword.active = false;
-        player.hasSword = true;
+  function updateToasts(dt) {
+    if (!toasts.length) return;
+    toasts[0].age += dt;
+    if (toasts[0].age >= TOAST_TIME) toasts.shift();
+  }
 
-        // Rainbow power: longer sword duration + a bit more jump
-        const dur = player.rainbow ? 9500 : 6500;
-        player.swordUntil = now + dur;
+  // small card in the top-right corner, clear of the HUD; slides in and back out
+  function drawToast() {
+    const t = toasts[0];
+    if (!t) return;
+    const w = 196, h = 24;
+    const x = W - w - 4;
+    const y = Math.round(4 - (h + 4) * (1 - clamp(Math.min(t.age, TOAST_TIME - t.age) / 0.25, 0, 1)));
+    ui.panel(ctx, x, y, w, h);
+    text(ctx, `★ ${t.def.label}`, x + 6, y + 3, { color: accent });
+    text(ctx, t.def.desc, x + 6, y + 13, { color: muted, size: 7 });
+  }
 
-        // combo reset
-        player.combo = 0;
-        player.comboUntil = 0;
+  let achBack = "title";
+  let achSel = 0;
+  const ACH_ROW_Y = 30, ACH_ROW_H = 10;
 
-        sfx("pickup");
-        addFlash(0.06);
-      }
-    }
+  const achievementsState = {
+    enter(arg) {
+      achBack = arg.back;
+      achSel = 0;
+    },
+    update() {
+      const n = achievementsLib.ACHIEVEMENTS.length;
+      if (input.uiPressed("up")) achSel = (achSel + n - 1) % n;
+      if (input.uiPressed("down")) achSel = (achSel + 1) % n;
+      if (input.uiPressed("back") || input.uiPressed("confirm")) flow.go(achBack);
+    },
+    draw() {
+      const list = achievements.list;
+      ui.shade(ctx, W, H);
+      text(ctx, "ACHIEVEMENTS", W / 2, 8, { size: 16, align: "center" });
+      text(ctx, `${achievements.unlockedCount}/${list.length}`, W - 8, 12, { color: accent, align: "right" });
+
+      list.forEach((a, i) => {
+        const y = ACH_ROW_Y + i * ACH_ROW_H;
+        const color = a.unlocked ? accent : i === achSel ? ui.COLORS.text : muted;
+        if (i === achSel) text(ctx, ">", 14, y, { color });
+        text(ctx, `${a.unlocked ? "★" : "·"} ${a.def.label}`, 24, y, { color });
+        ui.bar(ctx, 170, y + 3, 80, 3, a.progress / a.def.goal, a.unlocked ? accent : ui.COLORS.text);
+        text(ctx, `${a.progress}/${a.def.goal}`, W - 16, y, { color, align: "right" });
+      });
 
-    // sword expires
-    if (player.hasSword && now > player.swordUntil) {
-      player.hasSword = false;
-      player.attackUntil = 0;
-      player.combo = 0;
-      player.comboUntil = 0;
-    }
+      const a = list[achSel];
+      const y = ACH_ROW_Y + list.length * ACH_ROW_H + 6;
+      text(ctx, a.def.desc, W / 2, y, { align: "center" });
+      if (a.unlocked) text(ctx, `Unlocked ${a.date.slice(0, 10)}`, W / 2, y + 11, { color: accent, align: "center" });
+      text(ctx, "↑/↓ select  ·  Esc / Enter back", W / 2, H - 14, { color: muted, align: "center" });
+    },
+    tap(p) {
+      const i = Math.floor((p.y - ACH_ROW_Y) / ACH_ROW_H);
+      if (i >= 0 && i < achievementsLib.ACHIEVEMENTS.length) achSel = i;
+      else flow.go(achBack);
+    },
+  };
 
-    // ghost
-    updateGhost(dt, tSec);
+  // ---- cosmetics ----
+  // ←/→ browses every option, locked ones too, so the preview can show them off;
+  // only unlocked picks are saved
+  let cosBack = "title";
+  let cosPicks = null; // what the preview wears
 
-    // hit detect
-    const ghostBox = { x: ghost.x, y: ghost.y, w: ghost.w, h: ghost.h };
+  const pickedOption = (slot) => slot.options.find((o) => o.id === cosPicks[slot.key]);
 
-    // Combo window: chain hits within 1.2s
-    if (player.combo > 0 && now > player.comboUntil) player.combo = 0;
+  function cycleCosmetic(slot, d) {
+    const opts = slot.options;
+    const opt = opts[(opts.indexOf(pickedOption(slot)) + d + opts.length) % opts.length];
+    cosPicks[slot.key] = opt.id;
+    if (cosmeticsLib.isUnlocked(opt, hasAchievement)) {
+      setSetting("cosmetics", Object.assign({}, settings.cosmetics, { [slot.key]: opt.id }));
+    }
+  }
 
-    if (player.attackUntil > now) {
-      let hit;
-      switch (player.attackDir) {
-        case "right": hit = { x: player.x + player.w, y: player.y + 4, w: 20, h: 10 }; break;
-        case "left":  hit = { x: player.x - 20, y: player.y + 4, w: 20, h: 10 }; break;
-        case "up":    hit = { x: player.x + 3, y: player.y - 20, w: 8, h: 20 }; break;
-        case "down":  hit = { x: player.x + 3, y: player.y + player.h, w: 8, h: 20 }; break;
+  const cosmeticsMenu = ui.createMenu([
+    ...cosmeticsLib.SLOTS.map((slot) => ({
+      label: () => {
+        const opt = pickedOption(slot);
+        return `${slot.label}: ${opt.label}${cosmeticsLib.isUnlocked(opt, hasAchievement) ? "" : " (locked)"}`;
+      },
+      run: () => cycleCosmetic(slot, 1),
+      left: () => cycleCosmetic(slot, -1),
+      right: () => cycleCosmetic(slot, 1),
+    })),
+    { label: "Back", run: () => flow.go(cosBack) },
+  ], { x: 24, y: 48, rowH: 14, width: 170, align: "left" });
+
+  const cosmeticsState = {
+    enter(arg) {
+      cosBack = arg.back;
+      cosPicks = Object.assign({}, settings.cosmetics);
+      cosmeticsMenu.reset();
+    },
+    update() {
+      if (input.uiPressed("back")) flow.go(cosBack);
+      else cosmeticsMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H);
+      text(ctx, "COSMETICS", W / 2, 14, { size: 16, align: "center" });
+      cosmeticsMenu.draw(ctx);
+
+      // preview: the picks (saved or not) running in place, 3x
+      const clock = performance.now() / 1000;
+      const look = cosmeticsLib.resolve(cosPicks, () => true);
+      ui.panel(ctx, 206, 40, 90, 90);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(207, 41, 88, 88);
+      ctx.clip();
+      ctx.translate(244, 52);
+      ctx.scale(3, 3);
+      drawStickman(0, 0, clock, {
+        color: look.color || player.color, rainbow: look.rainbow,
+        stroke: look.stroke, head: look.head, trail: look.trail,
+        speed: 140, sprinting: false, onGround: true, attacking: false, attackDir: "right", hasSword: false,
+        clock,
+      });
+      ctx.restore();
+
+      const slot = cosmeticsLib.SLOTS[cosmeticsMenu.sel];
+      const opt = slot && pickedOption(slot);
+      if (opt && !cosmeticsLib.isUnlocked(opt, hasAchievement)) {
+        const a = achievementsLib.byId[opt.unlock];
+        text(ctx, `Unlock: ${a.label}`, W / 2, 138, { color: accent, align: "center" });
+        text(ctx, a.desc, W / 2, 149, { color: muted, align: "center" });
       }
+      text(ctx, "←/→ change  ·  Esc back", W / 2, H - 16, { color: muted, align: "center" });
+    },
+    tap: (p) => cosmeticsMenu.tap(p),
+  };
 
-      if (hit && aabb(hit, ghostBox)) {
-        ghostsRepelled++;
-
-        // combo logic
-        player.combo = clamp(player.combo + 1, 1, 12);
-        player.comboUntil = now + 1200;
-
-        // pushback scales with combo
-        const push = 150 + player.combo * 14 + (player.rainbow ? 40 : 0);
-        ghost.x -= push;
-        ghost.pushedBackUntil = now + (750 + player.combo * 30);
-
-        spawnParticles(ghost.x + ghost.w * 0.5, ghost.y + ghost.h * 0.5, 18, {
-          vx: 120, vy: 140, grav: 420,
-          color: "rgba(230,240,255,1)"
-        });
-        sfx("hit");
-        addShake(5, 0.12);
-        addFlash(0.06);
+  // ---- settings ----
+  const TOUCH_LABELS = { auto: "Auto", on: "On", off: "Off" };
+  let settingsBack = "title";
+
+  function setSetting(key, value) {
+    settings[key] = value;
+    saveSettings();
+    if (key === "touch") touch.setMode(value);
+    if (key === "mute" || VOLUME_KEYS.includes(key)) applyMix();
+  }
+  function toggleItem(key, label) {
+    const flip = () => setSetting(key, !settings[key]);
+    return { label: () => `${label}: ${settings[key] ? "On" : "Off"}`, run: flip, left: flip, right: flip };
+  }
+  // ←/→ step the volume, Enter steps it up and wraps from 100% to off
+  function volumeItem(key, label) {
+    const nudge = (d, wrap) => {
+      const v = settings[key] + d / VOLUME_STEPS;
+      setSetting(key, wrap && v > 1.001 ? 0 : snapVolume(v));
+    };
+    return {
+      label: () => `${label}: ${settings[key] ? `${Math.round(settings[key] * 100)}%` : "Off"}`,
+      run: () => nudge(1, true), left: () => nudge(-1), right: () => nudge(1),
+    };
+  }
+  function setDifficulty(name) {
+    setSetting("difficulty", name);
+    // the course behind the title should be the one Play will start
+    if (settingsBack === "title") restart();
+  }
+  function cycleDifficulty(d) {
+    const names = difficultyLib.NAMES;
+    setDifficulty(names[(names.indexOf(settings.difficulty) + d + names.length) % names.length]);
+  }
+  function cycleTouch(d) {
+    const modes = touchLib.MODES;
+    setSetting("touch", modes[(modes.indexOf(settings.touch) + d + modes.length) % modes.length]);
+  }
+
+  const settingsMenu = ui.createMenu([
+    volumeItem("volume", "Volume"),
+    toggleItem("mute", "Mute"),
+    volumeItem("sfxVolume", "Sound effects"),
+    volumeItem("musicVolume", "Music"),
+    { label: () => `Touch controls: ${TOUCH_LABELS[settings.touch]}`, run: () => cycleTouch(1), left: () => cycleTouch(-1), right: () => cycleTouch(1) },
+    {
+      label: () => `Difficulty: ${difficultyLib.LABELS[settings.difficulty]}${settingsBack === "paused" ? " (next run)" : ""}`,
+      run: () => cycleDifficulty(1), left: () => cycleDifficulty(-1), right: () => cycleDifficulty(1),
+    },
+    { label: "Customize difficulty", run: () => flow.go("customDifficulty"), when: () => settings.difficulty === "custom" },
+    { label: "Controls", run: () => flow.go("controls", { back: "settings" }) },
+    { label: "Back", run: () => flow.go(settingsBack) },
+  ], { y: 50, width: 180 });
+
+  const settingsState = {
+    enter(arg) {
+      // (coming back from the controls screen keeps where we were)
+      if (arg && arg.back) {
+        settingsBack = arg.back;
+        settingsMenu.reset();
       }
-    }
+    },
+    update() {
+      if (input.uiPressed("back")) flow.go(settingsBack);
+      else settingsMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H);
+      text(ctx, "SETTINGS", W / 2, 20, { size: 16, align: "center" });
+      settingsMenu.draw(ctx);
+      text(ctx, "←/→ or Enter to change  ·  Esc back", W / 2, H - 16, { color: muted, align: "center" });
+    },
+    tap: (p) => settingsMenu.tap(p),
+  };
 
-    // caught
-    const playerBox = { x: player.x, y: player.y, w: player.w, h: player.h };
-    if (aabb(playerBox, ghostBox)) triggerGameOver("The ghost caught you!");
+  // ---- custom difficulty ----
+  const fmtParam = (p, v) => (p.step < 1 ? v.toFixed(p.step < 0.1 ? 2 : 1) : String(v));
 
-    // camera scroll
-    camX += baseScroll * dt;
+  function nudgeParam(p, d) {
+    const values = Object.assign({}, settings.customDifficulty);
+    values[p.key] += d * p.step;
+    setSetting("customDifficulty", difficultyLib.sanitize(values));
   }
 
-  // ===================== Draw =====================
-  function draw() {
-    const tSec = (now - startedAt) / 1000;
+  const customMenu = ui.createMenu([
+    ...difficultyLib.PARAMS.map((p) => ({
+      label: () => `${p.label}: ${fmtParam(p, settings.customDifficulty[p.key])}`,
+      left: () => nudgeParam(p, -1),
+      right: () => nudgeParam(p, 1),
+    })),
+    {
+      label: "Reset to Normal",
+      run: () => setSetting("customDifficulty", difficultyLib.sanitize(difficultyLib.PRESETS.normal)),
+    },
+    { label: "Back", run: () => flow.go("settings") },
+  ], { x: 40, y: 26, rowH: 8, width: 240, align: "left" });
 
-    // shake offset
-    let ox = 0, oy = 0;
-    if (shakeT > 0) {
-      shakeT = Math.max(0, shakeT - (1 / 60));
-      const a = shakeT / 0.25;
-      const mag = shakeMag * clamp(a, 0, 1);
-      ox = (Math.random() * 2 - 1) * mag;
-      oy = (Math.random() * 2 - 1) * mag;
-      if (shakeT <= 0) shakeMag = 0;
-    }
+  const customDifficultyState = {
+    enter() {
+      customMenu.reset();
+    },
+    exit() {
+      if (settingsBack === "title") restart();
+    },
+    update() {
+      if (input.uiPressed("back")) flow.go("settings");
+      else customMenu.update(input);
+    },
+    draw() {
+      ui.shade(ctx, W, H);
+      text(ctx, "CUSTOM DIFFICULTY", W / 2, 8, { size: 16, align: "center" });
+      customMenu.draw(ctx);
+      text(ctx, "←/→ change  ·  Esc back", W / 2, H - 12, { color: muted, align: "center" });
+    },
+    tap: (p) => customMenu.tap(p),
+  };
 
-    ctx.save();
-    ctx.translate(ox, oy);
+  const controlsState = {
+    enter(arg) {
+      if (arg && arg.back) controlsBack = arg.back;
+      controlsSel = 0;
+      controlsMsg = "";
+    },
+    update: updateControls,
+    draw: drawControls,
+    tap: tapControls,
+  };
 
-    drawBackground(tSec);
+  const REPLAY_BAR = { x: 10, y: H - 10, w: W - 20, h: 4 };
 
-    // draw ground
-    for (const g of ground) {
-      const sx = Math.floor(g.x - camX);
-      if (sx + g.w < -150 || sx > W + 150) continue;
-      drawGroundSeg(g);
-    }
+  const replayState = {
+    hud: true,
+    timeScale: () => (replay.paused ? 0 : replay.speed),
+    enter(r) {
+      recorder = null;
+      replay = r;
+      accumulator = 0;
+      restart(replay.seed);
+    },
+    exit() {
+      replay = null;
+      accumulator = 0;
+      restart();
+    },
+    update() {
+      handleReplayControls();
+      // the viewer owns the devices; recorded input drives the sim
+      input.clearPressed();
+    },
+    draw() {
+      const b = REPLAY_BAR;
+      ui.bar(ctx, b.x, b.y, b.w, b.h, replay.tick / replay.ticks);
+      const at = replay.tick / TICK_RATE, total = replay.ticks / TICK_RATE;
+      const state = replay.paused ? "PAUSED" : `${replay.speed}x`;
+      text(ctx, `REPLAY ${state}  ${at.toFixed(1)}/${total.toFixed(1)}s`, W - 8, 6, { align: "right" });
+      if (game.gameOver) text(ctx, game.gameOverReason, W - 8, 18, { color: bad, align: "right" });
+      text(ctx, `Space: pause  1/2/4: speed  ←/→: ±${REPLAY_SEEK_STEP}s  Esc: exit`, W / 2, b.y - 12, { color: muted, align: "center" });
+    },
+    // click the timeline to scrub
+    tap(p) {
+      const b = REPLAY_BAR;
+      if (p.y < b.y - 8 || p.x < b.x || p.x > b.x + b.w) return;
+      seekReplay(((p.x - b.x) / b.w) * replay.ticks);
+    },
+  };
 
-    // draw platforms
-    for (const p of platforms) {
-      const sx = Math.floor(p.x - camX);
-      if (sx + p.w < -150 || sx > W + 150) continue;
-      drawPlatform(p);
+  // ===================== Chunk editor =====================
+  // index.html?editor opens it (?editor=<id> starts from that library chunk).
+  // Editing happens on the chunk JSON (src/editor.js); a test run plays the
+  // parsed chunk through the real core with game.restart(seed, course).
+  const editorParam = (() => {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      return params.has("editor") ? params.get("editor") : null;
+    } catch {
+      return null;
     }
+  })();
+
+  const editor = editorLib.createEditor({
+    storage,
+    initial: editorParam ? chunksLib.LIBRARY.find((c) => c.id === editorParam) || null : null,
+    onTest: startChunkTest,
+    onExport: (json) => downloadJSON(`chunk-${json.id}.json`, json),
+    onImport: () => pickJSONFile(loadChunkFile),
+    ask: (question, value) => window.prompt(question, value),
+  });
 
-    drawSwordPickup(tSec);
-    drawGhost(tSec);
-    drawPlayer(tSec);
-    drawAttackEffect();
-    drawParticles();
+  function loadChunkFile(file) {
+    file.text()
+      .then((txt) => editor.load(JSON.parse(txt)))
+      .catch((e) => {
+        console.warn("Bad chunk file:", e);
+        editor.say("Not a chunk file");
+      });
+  }
 
-    // flash overlay
-    if (flashT > 0) {
-      const a = clamp(flashT / 0.12, 0, 1) * 0.22;
-      ctx.fillStyle = `rgba(255,255,255,${a})`;
-      ctx.fillRect(0, 0, W, H);
+  function startChunkTest(chunk, startX, scroll) {
+    // test runs are never recorded, ranked or raced
+    recorder = null;
+    track = null;
+    rival = null;
+    game.restart(nextSeed(), { chunk, startX, scroll });
+    snapshotPrev();
+    startQueued = true;
+    flow.go("editorTest");
+  }
+
+  // the chunk JSON as the world renderer sees it (it can be mid-edit / invalid)
+  function drawChunkDoc(doc) {
+    for (const g of doc.ground) drawGroundSeg({ x: g.x, y: core.groundY, w: g.w, h: 40 });
+    for (const sp of doc.spikes) drawSpikes({ x: sp.x, y: core.groundY - core.SPIKE_H, w: sp.w, h: core.SPIKE_H });
+    for (const p of doc.platforms) {
+      drawPlatform(Object.assign({ kind: "solid", h: 10, baseX: p.x, baseY: p.y, dx: 0, dy: 0 }, p));
     }
+    for (const slot of doc.pickups) drawPickupSprite(POWERUP.sword.sprite, Math.floor(slot.x - 4 - view.camX), slot.y - 12);
+  }
 
-    ctx.restore();
+  const editorState = {
+    world: false,
+    enter(arg) {
+      if (arg && arg.result) editor.testOver(arg.result);
+    },
+    update(dt) {
+      editor.update(input, dt);
+    },
+    draw() {
+      view.camX = editor.camX;
+      drawBackground(0);
+      drawChunkDoc(editor.doc);
+      editor.draw(ctx);
+    },
+    tap: (p) => editor.down(p),
+    move: (p) => editor.move(p),
+    up: (p) => editor.up(p),
+  };
 
-    drawHUD(tSec);
+  const editorTestState = {
+    timeScale: () => 1,
+    update() {
+      if (input.keyPressed("escape") || input.uiPressed("back")) {
+        flow.go("editor");
+        return;
+      }
+      if (game.started && game.camX + player.x > game.course.chunk.w + 40) {
+        flow.go("editor", { result: { cleared: true, time: game.tSec } });
+      }
+    },
+    draw() {
+      text(ctx, "TEST RUN  Esc: back to the editor", 4, 4, { color: accent });
+    },
+  };
 
-    if (gameOver) {
-      ctx.fillStyle = "rgba(0,0,0,0.35)";
-      ctx.fillRect(0, 0, W, H);
+  const flow = flowLib.createFlow(
+    {
+      boot: bootState,
+      title: titleState,
+      playing: playingState,
+      paused: pausedState,
+      results: resultsState,
+      settings: settingsState,
+      customDifficulty: customDifficultyState,
+      controls: controlsState,
+      leaderboard: leaderboardState,
+      stats: statsState,
+      achievements: achievementsState,
+      cosmetics: cosmeticsState,
+      replay: replayState,
+      editor: editorState,
+      editorTest: editorTestState,
+    },
+    { onChange: () => { hudEl.style.display = flow.hud ? "" : "none"; } }
+  );
+
+  // ===================== Loop =====================
+  // one live tick: sample the actions, record them, simulate
+  function liveTick() {
+    tickHeld = actionMask(input.isDown);
+    tickPressed = actionMask(input.wasPressed);
+    if (startQueued) {
+      tickPressed |= ACTION_BIT.jump;
+      startQueued = false;
     }
+    if (recorder && !game.gameOver) recorder.tick(tickHeld, tickPressed);
+    game.step(TICK);
+    trackTick();
+    // a press counts for exactly one tick, even when a frame runs zero or several
+    input.clearPressed();
   }
 
-  // ===================== Loop =====================
   function frame(t) {
-    now = t;
-    const dt = Math.min(0.033, (t - last) / 1000);
+    const realDt = clamp((t - last) / 1000, 0, MAX_FRAME_DT);
     last = t;
 
-    step(dt);
-    updateParticles(dt);
-    draw();
+    input.poll();
+    flow.update(realDt);
+    input.clearUi();
+    updateToasts(realDt);
+
+    const scale = flow.timeScale();
+    if (scale > 0) {
+      accumulator += realDt * scale;
+    } else {
+      // frozen screens own the devices; drop presses so nothing fires on resume
+      accumulator = 0;
+      input.clearPressed();
+    }
+
+    while (accumulator >= TICK) {
+      snapshotPrev();
+      if (replay) replayTick();
+      else liveTick();
+      updateParticles(TICK);
+      updatePopups(TICK);
+      updateEffects(TICK);
+      accumulator -= TICK;
+      // a tick can freeze time: death -> results, or the replay reaching its end
+      if (!flow.timeScale()) accumulator = 0;
+    }
+    if (!flow.is("paused", "editor")) tickMusic();
 
-    pressed.clear();
+    draw(accumulator / TICK);
     requestAnimationFrame(frame);
   }
 
   // ===================== Boot =====================
-  loadAssets(() => {
-    restart();
-    started = false;
-    gameOver = false;
-    gameOverReason = "";
-    requestAnimationFrame(frame);
-  });
+  flow.go("boot");
+  last = performance.now();
+  requestAnimationFrame(frame);
 })();
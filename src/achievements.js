@@ -0,0 +1,145 @@
+// achievements.js — achievements as data, unlocked from core's gameplay events
+// (hooks.onEvent) and kept in storage. No DOM; storage is injected:
+//
+//   const ach = GhostChase.achievements.createAchievements(storage);
+//   const unlocked = ach.handle("repel", stats);  // -> defs unlocked by this event
+//   ach.list;  // [{ def, progress, unlocked, date }] in ACHIEVEMENTS order
+//   ach.has("boss");  // unlocked yet? (cosmetics unlock on these)
+//
+// Every event carries the run's stats at that moment (see core's runStats):
+//   { time, phase, repels, combo, maxCombo, enemiesDestroyed, bossesDefeated,
+//     platformLandings, rainbow, difficulty } plus the event's own fields
+//
+//   on      event types that can advance it
+//   value   (stats) -> number, compared against `goal`
+//   keep    "max": best value seen in any one run   "sum": added up across runs
+//   goal    unlocks once the kept progress reaches it
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).achievements = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STORAGE_KEY = "gc_achievements";
+  const ACHIEVEMENTS_VERSION = 1;
+
+  const ACHIEVEMENTS = [
+    {
+      id: "sword", label: "Armed", desc: "Pick up a sword",
+      on: ["pickup"], value: (s) => (s.power === "sword" ? 1 : 0), keep: "max", goal: 1,
+    },
+    {
+      id: "runs10", label: "Getting Warm", desc: "Play 10 runs",
+      on: ["gameover"], value: () => 1, keep: "sum", goal: 10,
+    },
+    {
+      id: "phase4", label: "Into the Dark", desc: "Survive to phase 4",
+      on: ["phase"], value: (s) => s.phase, keep: "max", goal: 4,
+    },
+    {
+      id: "combo12", label: "Twelve Strikes", desc: "Reach a x12 combo",
+      on: ["repel"], value: (s) => s.combo, keep: "max", goal: 12,
+    },
+    {
+      id: "repels50", label: "Exorcist", desc: "Repel the ghost 50 times in one run",
+      on: ["repel"], value: (s) => s.repels, keep: "max", goal: 50,
+    },
+    {
+      id: "rainbow", label: "One in a Hundred", desc: "Roll the rainbow runner",
+      on: ["start"], value: (s) => (s.rainbow ? 1 : 0), keep: "max", goal: 1,
+    },
+    {
+      // seconds survived while never having landed on a platform
+      id: "grounded", label: "Feet on the Ground", desc: "Survive 60s without touching a platform",
+      on: ["second", "gameover"], value: (s) => (s.platformLandings ? 0 : Math.floor(s.time)), keep: "max", goal: 60,
+    },
+    {
+      id: "boss", label: "Ghostbuster", desc: "Defeat the boss",
+      on: ["boss"], value: () => 1, keep: "sum", goal: 1,
+    },
+    {
+      id: "enemies100", label: "Pest Control", desc: "Destroy 100 wisps, bats and fireballs",
+      on: ["enemy"], value: () => 1, keep: "sum", goal: 100,
+    },
+    {
+      id: "marathon", label: "Marathon", desc: "Survive 150s",
+      on: ["second"], value: (s) => Math.floor(s.time), keep: "max", goal: 150,
+    },
+    {
+      id: "runs50", label: "Regular", desc: "Play 50 runs",
+      on: ["gameover"], value: () => 1, keep: "sum", goal: 50,
+    },
+  ];
+
+  const byId = {};
+  for (const a of ACHIEVEMENTS) byId[a.id] = a;
+
+  function fresh() {
+    return { v: ACHIEVEMENTS_VERSION, progress: {}, unlocked: {} };
+  }
+
+  function load(storage) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    } catch (e) {
+      console.warn("Bad achievements data, starting fresh:", e);
+    }
+    if (!data || typeof data !== "object" || data.v !== ACHIEVEMENTS_VERSION) return fresh();
+    if (!data.progress || typeof data.progress !== "object") data.progress = {};
+    if (!data.unlocked || typeof data.unlocked !== "object") data.unlocked = {};
+    return data;
+  }
+
+  function createAchievements(storage) {
+    const data = load(storage);
+
+    function save() {
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(data));
+      } catch (e) {
+        console.warn("Achievements save failed:", e);
+      }
+    }
+
+    // Feed one event; returns the achievements it unlocked (usually none)
+    function handle(type, stats, date = new Date()) {
+      const unlocked = [];
+      let dirty = false;
+      for (const a of ACHIEVEMENTS) {
+        if (!a.on.includes(type)) continue;
+        const v = a.value(stats);
+        const was = data.progress[a.id] || 0;
+        const now = a.keep === "sum" ? was + v : Math.max(was, v);
+        if (now === was) continue;
+        data.progress[a.id] = now;
+        dirty = true;
+        if (now >= a.goal && !data.unlocked[a.id]) {
+          data.unlocked[a.id] = date.toISOString();
+          unlocked.push(a);
+        }
+      }
+      // "second" fires every second: only write when something unlocked
+      // (progress still lands with the run's other events)
+      if (unlocked.length || (dirty && type !== "second")) save();
+      return unlocked;
+    }
+
+    return {
+      handle,
+      has: (id) => !!data.unlocked[id],
+      get list() {
+        return ACHIEVEMENTS.map((def) => ({
+          def,
+          progress: Math.min(def.goal, data.progress[def.id] || 0),
+          unlocked: !!data.unlocked[def.id],
+          date: data.unlocked[def.id] || null,
+        }));
+      },
+      get unlockedCount() { return ACHIEVEMENTS.filter((a) => data.unlocked[a.id]).length; },
+    };
+  }
+
+  return { ACHIEVEMENTS, byId, createAchievements };
+});
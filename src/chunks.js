@@ -0,0 +1,202 @@
+// chunks.js — handcrafted level chunks that core.js stitches in between its
+// procedural stretches. Each chunk is plain JSON (the editor exports the same
+// format), positions in px relative to the chunk's left edge:
+//
+//   {
+//     "format": 1, "id": "pit-bridge", "tags": ["medium"], "w": 580,
+//     "ground":    [{ "x": 0, "w": 140 }, { "x": 250, "w": 330 }],    // at groundY
+//     "platforms": [{ "x": 90, "y": 110, "w": 60 },
+//                   { "x": 200, "y": 96, "w": 70, "kind": "crumble" },
+//                   { "x": 330, "y": 108, "w": 60, "kind": "move", "axis": "x", "amp": 30, "period": 2.4 }],
+//     "spikes":    [{ "x": 40, "w": 24 }],                            // on the ground
+//     "pickups":   [{ "x": 235, "y": 96 }]                            // pickup spawn slots
+//   }
+//
+// Rules (parseChunk() throws on a broken chunk): the ground starts at x=0 and
+// ends at x=w, so it joins whatever is either side; the first and last
+// platforms are solid, and their heights are the chunk's entry / exit, which
+// the generator connects to the platforms around it. tags: easy | medium | hard.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).chunks = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CHUNK_FORMAT = 1;
+  const TAGS = ["easy", "medium", "hard"];
+  const KINDS = ["solid", "move", "crumble"];
+  const PLATFORM_Y_MIN = 40, PLATFORM_Y_MAX = 124;
+
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+
+  // -> normalized chunk { id, tags, w, ground, platforms, spikes, pickups, entry, exit }
+  function parseChunk(data) {
+    const id = data && typeof data.id === "string" && data.id ? data.id : "?";
+    const fail = (msg) => { throw new Error(`chunk ${id}: ${msg}`); };
+
+    if (!data || typeof data !== "object") fail("not an object");
+    if (data.format !== CHUNK_FORMAT) fail(`unsupported format ${data.format}`);
+    if (id === "?") fail("missing id");
+    if (!num(data.w) || data.w <= 0) fail("bad width");
+    const w = data.w;
+
+    const tags = Array.isArray(data.tags) ? data.tags.slice() : [];
+    if (!tags.length || tags.some((t) => !TAGS.includes(t))) fail(`tags must be some of ${TAGS.join("/")}`);
+
+    const ground = (data.ground || []).map((g) => ({ x: g.x, w: g.w })).sort((a, b) => a.x - b.x);
+    if (!ground.length) fail("no ground");
+    if (ground.some((g) => !num(g.x) || !num(g.w) || g.w <= 0)) fail("bad ground segment");
+    if (ground[0].x !== 0) fail("ground must start at x=0");
+    const last = ground[ground.length - 1];
+    if (last.x + last.w !== w) fail("ground must end at x=w");
+    for (let i = 1; i < ground.length; i++) {
+      if (ground[i].x < ground[i - 1].x + ground[i - 1].w) fail("ground segments overlap");
+    }
+
+    const platforms = (data.platforms || []).map((p) => {
+      const kind = p.kind || "solid";
+      if (!KINDS.includes(kind)) fail(`unknown platform kind ${kind}`);
+      if (!num(p.x) || !num(p.y) || !num(p.w) || p.w <= 0) fail("bad platform");
+      if (p.y < PLATFORM_Y_MIN || p.y > PLATFORM_Y_MAX) fail(`platform y ${p.y} out of ${PLATFORM_Y_MIN}..${PLATFORM_Y_MAX}`);
+      if (p.x < 0 || p.x + p.w > w) fail("platform outside the chunk");
+      const out = { x: p.x, y: p.y, w: p.w, kind };
+      if (kind === "move") {
+        if (p.axis !== "x" && p.axis !== "y") fail("mover axis must be x or y");
+        if (!num(p.amp) || p.amp <= 0) fail("mover needs amp > 0");
+        Object.assign(out, { axis: p.axis, amp: p.amp, period: num(p.period) && p.period > 0 ? p.period : 2.4, offset: num(p.offset) ? p.offset : 0 });
+      }
+      return out;
+    }).sort((a, b) => a.x - b.x);
+    if (!platforms.length) fail("no platforms");
+    if (platforms[0].kind !== "solid" || platforms[platforms.length - 1].kind !== "solid") {
+      fail("first and last platforms must be solid");
+    }
+
+    const spikes = (data.spikes || []).map((s) => ({ x: s.x, w: s.w }));
+    for (const s of spikes) {
+      if (!num(s.x) || !num(s.w) || s.w <= 0) fail("bad spike strip");
+      if (!ground.some((g) => s.x >= g.x && s.x + s.w <= g.x + g.w)) fail(`spikes at x=${s.x} not on the ground`);
+    }
+
+    const pickups = (data.pickups || []).map((p) => ({ x: p.x, y: p.y }));
+    if (pickups.some((p) => !num(p.x) || !num(p.y) || p.x < 0 || p.x > w)) fail("bad pickup slot");
+
+    return {
+      id,
+      tags,
+      w,
+      ground,
+      platforms,
+      spikes,
+      pickups,
+      entry: platforms[0].y,
+      exit: platforms[platforms.length - 1].y,
+    };
+  }
+
+  // back to the JSON shape (what the editor exports)
+  function toJSON(chunk) {
+    return {
+      format: CHUNK_FORMAT,
+      id: chunk.id,
+      tags: chunk.tags.slice(),
+      w: chunk.w,
+      ground: chunk.ground.map((g) => ({ x: g.x, w: g.w })),
+      platforms: chunk.platforms.map((p) => {
+        const out = { x: p.x, y: p.y, w: p.w };
+        if (p.kind !== "solid") out.kind = p.kind;
+        if (p.kind === "move") Object.assign(out, { axis: p.axis, amp: p.amp, period: p.period, offset: p.offset });
+        return out;
+      }),
+      spikes: chunk.spikes.map((s) => ({ x: s.x, w: s.w })),
+      pickups: chunk.pickups.map((p) => ({ x: p.x, y: p.y })),
+    };
+  }
+
+  // ===================== Library =====================
+  const LIBRARY_DATA = [
+    {
+      format: 1, id: "breather", tags: ["easy"], w: 480,
+      ground: [{ x: 0, w: 480 }],
+      platforms: [{ x: 80, y: 116, w: 90 }, { x: 230, y: 108, w: 90 }, { x: 380, y: 116, w: 90 }],
+      pickups: [{ x: 275, y: 108 }],
+    },
+    {
+      format: 1, id: "low-steps", tags: ["easy"], w: 560,
+      ground: [{ x: 0, w: 560 }],
+      platforms: [
+        { x: 60, y: 118, w: 70 }, { x: 170, y: 104, w: 60 }, { x: 280, y: 92, w: 60 },
+        { x: 390, y: 104, w: 70 }, { x: 490, y: 116, w: 60 },
+      ],
+      pickups: [{ x: 310, y: 92 }],
+    },
+    {
+      format: 1, id: "spike-run", tags: ["easy", "medium"], w: 520,
+      ground: [{ x: 0, w: 520 }],
+      platforms: [{ x: 40, y: 112, w: 80 }, { x: 190, y: 100, w: 70 }, { x: 360, y: 110, w: 80 }],
+      spikes: [{ x: 140, w: 24 }, { x: 330, w: 32 }],
+    },
+    {
+      format: 1, id: "pit-bridge", tags: ["medium"], w: 580,
+      ground: [{ x: 0, w: 140 }, { x: 250, w: 330 }],
+      platforms: [
+        { x: 90, y: 110, w: 60 }, { x: 200, y: 96, w: 70 }, { x: 330, y: 108, w: 60 }, { x: 450, y: 100, w: 70 },
+      ],
+      pickups: [{ x: 235, y: 96 }],
+    },
+    {
+      format: 1, id: "crumble-chain", tags: ["medium"], w: 660,
+      ground: [{ x: 0, w: 200 }, { x: 300, w: 360 }],
+      platforms: [
+        { x: 60, y: 110, w: 50 },
+        { x: 150, y: 98, w: 44, kind: "crumble" },
+        { x: 240, y: 92, w: 44, kind: "crumble" },
+        { x: 330, y: 100, w: 44, kind: "crumble" },
+        { x: 430, y: 108, w: 60 },
+      ],
+    },
+    {
+      format: 1, id: "elevator", tags: ["medium", "hard"], w: 600,
+      ground: [{ x: 0, w: 600 }],
+      platforms: [
+        { x: 50, y: 112, w: 70 },
+        { x: 170, y: 108, w: 56, kind: "move", axis: "y", amp: 36, period: 2.4 },
+        { x: 290, y: 100, w: 60 },
+        { x: 400, y: 116, w: 60, kind: "move", axis: "x", amp: 40, period: 2.8, offset: 1.6 },
+        { x: 530, y: 104, w: 60 },
+      ],
+      spikes: [{ x: 200, w: 40 }, { x: 380, w: 40 }],
+      pickups: [{ x: 320, y: 100 }],
+    },
+    {
+      format: 1, id: "gauntlet", tags: ["hard"], w: 780,
+      ground: [{ x: 0, w: 180 }, { x: 300, w: 150 }, { x: 570, w: 210 }],
+      platforms: [
+        { x: 120, y: 104, w: 50 },
+        { x: 230, y: 90, w: 50 },
+        { x: 350, y: 80, w: 44, kind: "move", axis: "x", amp: 30, period: 2.2 },
+        { x: 470, y: 96, w: 50, kind: "crumble" },
+        { x: 600, y: 110, w: 70 },
+      ],
+      spikes: [{ x: 80, w: 30 }, { x: 640, w: 36 }],
+    },
+    {
+      format: 1, id: "high-road", tags: ["hard"], w: 700,
+      ground: [{ x: 0, w: 120 }, { x: 250, w: 150 }, { x: 520, w: 180 }],
+      platforms: [
+        { x: 40, y: 100, w: 60 },
+        { x: 160, y: 84, w: 50 },
+        { x: 280, y: 72, w: 50, kind: "crumble" },
+        { x: 400, y: 80, w: 50, kind: "move", axis: "y", amp: 24, period: 2 },
+        { x: 520, y: 92, w: 70 },
+      ],
+      spikes: [{ x: 600, w: 40 }],
+      pickups: [{ x: 185, y: 84 }],
+    },
+  ];
+
+  const LIBRARY = LIBRARY_DATA.map(parseChunk);
+
+  return { CHUNK_FORMAT, TAGS, LIBRARY, parseChunk, toJSON };
+});
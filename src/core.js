@@ -0,0 +1,1742 @@
+// core.js — Ghost Chase simulation (no DOM, no canvas, no audio).
+// Everything that decides what happens in a run lives here; game.js only feeds
+// input, renders the state and plays the effects. Loaded as a plain <script>
+// (window.GhostChase.core) or require()'d from Node for headless runs:
+//
+//   const { createGame } = require("./src/core.js");
+//   const game = createGame({ input, storage, hooks });
+//   game.restart(1234);
+//   while (!game.gameOver) game.step(TICK);
+//
+// Injected dependencies (all optional):
+//   input   { isDown(action), wasPressed(action) } for the current tick, actions from ACTIONS
+//   storage { getItem, setItem } (localStorage-shaped) for the best time and score (per difficulty)
+//   hooks   presentation callbacks: sfx(name), particles(x, y, count, opts),
+//           shake(mag, time), flash(time), lungeTint(time), onStart(), onGameOver(info),
+//           onEvent(type, stats) for gameplay milestones (achievements):
+//             start, second (each full second), phase, repel, enemy { enemy }, pickup { power },
+//             nearmiss, boss (defeated), gameover; stats = runStats() plus those fields
+//           popup(x, y, text) for points scored (screen coords)
+//           info = { reason, time, isBest, score, isBestScore, seed, repels, maxCombo, swordsCollected,
+//                    enemiesDestroyed, bossesDefeated, phase, difficulty, course, rainbow }
+//                  (course = difficulty.courseKey(): the name, or the custom values)
+//   difficulty  params from src/difficulty.js (default: normal); setDifficulty() swaps it
+//           for the next restart()
+//   immortal  tools only: the run never ends, so generators can be observed for as long as needed
+//
+// restart(seed, course) with course = { chunk, startX, scroll } plays just that
+// chunk (the editor's test runs): flat ground either side, no procedural
+// generation, no ghost, a fixed scroll speed if `scroll` is set, and no best time saved.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./rng.js"), require("./reach.js"), require("./chunks.js"), require("./powerups.js"), require("./difficulty.js"));
+  else (root.GhostChase = root.GhostChase || {}).core = factory(root.GhostChase.rng, root.GhostChase.reach, root.GhostChase.chunks, root.GhostChase.powerups, root.GhostChase.difficulty);
+})(typeof self !== "undefined" ? self : this, function (rng, reach, chunkLib, powerupLib, difficultyLib) {
+  "use strict";
+
+  const VERSION = "2.8";
+
+  // Logical screen size (the canvas is 320x180)
+  const W = 320, H = 180;
+
+  // step() is always called with this dt; see game.js frame()
+  const TICK_RATE = 60;
+  const TICK = 1 / TICK_RATE;
+
+  // Actions the simulation reads (what keys/buttons produce them is up to the
+  // shell). A tick's input can be packed into a bitmask over this list
+  // (ACTION_BIT), which is what replays store.
+  const ACTIONS = ["jump", "left", "right", "attack", "sprint"];
+  const ACTION_BIT = {};
+  ACTIONS.forEach((a, i) => { ACTION_BIT[a] = 1 << i; });
+
+  // ===================== Utils ======================
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  const lerp = (a, b, t) => a + (b - a) * t;
+  // per-second event rate -> probability it fires within one tick of length dt
+  const chanceIn = (ratePerSec, dt) => 1 - Math.exp(-ratePerSec * dt);
+  const aabb = (a, b) =>
+    a.x < b.x + b.w &&
+    a.x + a.w > b.x &&
+    a.y < b.y + b.h &&
+    a.y + a.h > b.y;
+  // px between two boxes along the axis that separates them most (<= 0: touching)
+  const boxGap = (a, b) => Math.max(b.x - a.x - a.w, a.x - b.x - b.w, b.y - a.y - a.h, a.y - b.y - b.h);
+
+  function hsl(h, s, l) { return `hsl(${h} ${s}% ${l}%)`; }
+
+  // ===================== World constants =====================
+  const groundY = 140;
+
+  // Ground generation: mostly continuous with occasional gaps to jump
+  // (how often is the difficulty's groundGapChance).
+  const GROUND_SEG_W_MIN = 220;
+  const GROUND_SEG_W_MAX = 420;
+  const GROUND_GAP_MIN = 70;
+  const GROUND_GAP_MAX = 150;
+
+  // ===================== Hazards =====================
+  // Chances per new ground segment / platform, by phase (index = phase - 1).
+  const SPIKE_CHANCE = [0, 0.3, 0.4, 0.5];
+  const SPIKE_W_MIN = 16, SPIKE_W_MAX = 40, SPIKE_H = 6;
+  const SPIKE_CLEAR = 64; // bare ground kept either side of a strip (run-up / landing)
+
+  // moving platforms travel `amp` px from their base and back: right along x,
+  // up along y. Only phase 3+ movers may sink low enough to squash you.
+  const MOVER_CHANCE = [0, 0.14, 0.22, 0.28];
+  const MOVER_AMP_MIN = 18, MOVER_AMP_MAX = 40;
+  const MOVER_PERIOD_MIN = 1.8, MOVER_PERIOD_MAX = 3.2; // s per round trip
+  const MOVER_SAFE_Y = groundY - 20 - 10 - 2; // lowest base that clears a standing player
+
+  const CRUMBLE_CHANCE = [0.06, 0.12, 0.18, 0.22];
+  const CRUMBLE_DELAY = 450; // ms from first landing to collapse
+
+  // ===================== Score =====================
+  // Points on top of survival time, so fighting pays more than hiding:
+  // distance scrolled, repels (x the combo), near misses and soul orbs.
+  const DISTANCE_PER_POINT = 10; // px of camX
+  const REPEL_POINTS = 50;       // x the combo the hit reached
+  const COMBO_MILESTONE = 4;     // every 4th straight hit gets its own sound
+  const NEAR_MISS_PX = 10;       // the ghost this close without touching arms a near miss,
+  const NEAR_MISS_CLEAR = 28;    // paid once it's this far again
+  const NEAR_MISS_POINTS = 100;
+  const NEAR_MISS_COOLDOWN = 1500; // ms between payouts (no farming it at the lane edge)
+
+  // Soul orbs hang along every ORB_EVERY-th procedural platform-to-platform jump,
+  // where the body passes on a full jump off the edge (the reachability arc), but
+  // never lower than ORB_LIFT px over the line between the two tops.
+  const ORB_POINTS = 25;
+  const ORB_EVERY = 2, ORB_COUNT = 3, ORB_MIN_GAP = 48;
+  const ORB_BODY = 10, ORB_LIFT = 16, ORB_R = 4; // ORB_BODY: feet to the middle of the body
+
+  // ===================== Chunks =====================
+  // Handcrafted chunks (src/chunks.js) go in between procedural stretches of
+  // CHUNK_STRETCH px. A chunk's weight is its best tag's weight for the phase.
+  const CHUNK_STRETCH_MIN = 900, CHUNK_STRETCH_MAX = 1800;
+  const CHUNK_WEIGHTS = { easy: [6, 3, 1, 1], medium: [1, 4, 4, 3], hard: [0, 1, 3, 5] };
+
+  function chunkWeight(chunk, phase) {
+    return Math.max(...chunk.tags.map((t) => CHUNK_WEIGHTS[t][phase - 1]));
+  }
+
+  // ===================== Feel tuning =====================
+  // MOVE_* damping and JUMP_CUT are per-tick factors (see TICK_RATE).
+  const GRAVITY = 1100;
+  const JUMP_V = 380;
+  const MOVE_AIR = 0.95, MOVE_GROUND = 0.82;
+  const COYOTE_TIME = 0.12;
+  const JUMP_BUFFER = 0.12;
+  const JUMP_CUT = 0.55;
+  const LAND_SOUND_VY = 150; // falls slower than this land silently (standing still is ~18)
+
+  // sprint toggle: hold Shift for extra speed (and a clearer run animation)
+  const SPRINT_MULT = 1.35;
+
+  const RUN_ACCEL = 900;
+  const SPEED_CAP = 180, SPRINT_SPEED_CAP = 220;
+
+  // the player is kept inside this screen-x lane (intentionally a "runner" lane)
+  const LANE_MIN = 30, LANE_MAX = 175;
+  const PLAYER_W = 12;
+
+  // ===================== Reachability =====================
+  // The generators only emit gaps a normal (non-rainbow, non-sprinting) player
+  // can clear with a full jump taken from mid-lane at the current scroll speed.
+  const REACH_MARGIN = 6; // px of slack so "reachable" doesn't mean frame-perfect
+  const REACH_ARC = {
+    dt: TICK,
+    gravity: GRAVITY,
+    jumpV: JUMP_V,
+    accel: RUN_ACCEL,
+    moveAir: MOVE_AIR,
+    speedCap: SPEED_CAP,
+    v0: reach.terminalSpeed(RUN_ACCEL, TICK, MOVE_GROUND),
+    laneRoom: (LANE_MAX - LANE_MIN) / 2,
+  };
+
+  // Widest gap (edge to edge, px) that can be cleared landing `dy` px lower
+  // (negative = higher) at `scroll` px/s. 0 if the height can't be reached at all.
+  function maxGapFor(dy, scroll) {
+    const travel = reach.jumpTravel(dy, Object.assign({}, REACH_ARC, { scroll }));
+    if (travel < 0) return 0;
+    // takeoff with the left foot at the edge, land with the right foot just on
+    return Math.max(0, Math.floor(travel + PLAYER_W - REACH_MARGIN));
+  }
+
+  function canReachGap(gap, dy, scroll) {
+    return gap <= maxGapFor(dy, scroll);
+  }
+
+  // re-rolls before a generator falls back to clamping the gap
+  const REACH_RETRIES = 4;
+
+  // Difficulty: speeds, phase thresholds, gap chance and sword timing all come
+  // from a params object (src/difficulty.js); normal's unless told otherwise.
+  const NORMAL = difficultyLib.resolve("normal");
+
+  // Phase from run time in seconds, against the difficulty's ph1..ph3 thresholds
+  function phaseAt(tSec, d = NORMAL) {
+    return tSec < d.ph1 ? 1 : tSec < d.ph2 ? 2 : tSec < d.ph3 ? 3 : 4;
+  }
+
+  const noop = () => {};
+  const NO_INPUT = { isDown: () => false, wasPressed: () => false };
+
+  function createGame(opts = {}) {
+    const input = opts.input || NO_INPUT;
+    const storage = opts.storage || null;
+    const immortal = !!opts.immortal;
+    let nextDiff = opts.difficulty || NORMAL; // applied by restart()
+    let diff = nextDiff;
+    const hooks = Object.assign({
+      sfx: noop,
+      particles: noop,
+      shake: noop,
+      flash: noop,
+      lungeTint: noop,
+      onStart: noop,
+      onGameOver: noop,
+      onEvent: noop,
+      popup: noop,
+    }, opts.hooks);
+
+    // ===================== Seeded RNG =====================
+    // Two streams per seed so a seed reproduces the same course:
+    //   rand()   -> world generation + player style
+    //   aiRand() -> ghost AI + pickup spawns (kept apart so AI rolls never shift the layout)
+    let runSeed = (opts.seed || 0) >>> 0;
+    let rand = rng.makeRng(runSeed);
+    let aiRand = rng.makeRng(runSeed ^ rng.AI_SALT);
+    const irand = (a, b, r = rand) => Math.floor(a + r() * (b - a + 1));
+
+    // ===================== Time/State =================
+    // `now` is the simulation clock (ms): advanced only by step(), reset to 0 by
+    // restart(), which keeps runs bit-exact for a given seed + input.
+    let now = 0;
+    let startedAt = 0;
+    let started = false;
+    let course = null; // editor test run, see restart()
+
+    let gameOver = false;
+    let gameOverReason = "";
+
+    // "best" (time) and bestScore are storage-backed, per difficulty (normal keeps the original
+    // key); custom runs keep one pair per set of custom values (difficulty.courseKey)
+    let best = 0;
+    let bestScore = 0;
+    const bestKey = () => (diff.name === "normal" ? "gc_best" : `gc_best_${difficultyLib.courseKey(diff)}`);
+    function loadBest() {
+      best = 0;
+      bestScore = 0;
+      if (storage) {
+        try {
+          best = Number(storage.getItem(bestKey()) || "0") || 0;
+          bestScore = Number(storage.getItem(`${bestKey()}_score`) || "0") || 0;
+        } catch {}
+      }
+    }
+    loadBest();
+
+    let camX = 0;
+
+    // Soft intro ramp: world starts slower and eases to target scroll
+    let baseScroll = 0;
+    let targetScroll = 90;
+
+    let ghostsRepelled = 0;
+    let maxCombo = 0;
+    let platformLandings = 0;
+    let bonusPoints = 0;   // score on top of distance
+    let nearMissArmed = false;
+    let nearMissAt = 0;    // no payout before this (ms)
+
+    // ===================== World =====================
+    const ground = [];     // segments at y=groundY
+    const platforms = [];  // upper platforms (y < groundY)
+
+    const spikes = [];     // strips lying on ground segments
+    const orbs = [];       // soul orbs: { x, y, r }
+    let orbGaps = 0;       // platform jumps generated so far (every ORB_EVERY-th gets orbs)
+
+    function addGroundSeg(x, w) { ground.push({ x, y: groundY, w, h: 40 }); }
+    function addSpikes(x, w) { spikes.push({ x, y: groundY - SPIKE_H, w, h: SPIKE_H }); }
+
+    const pickupSlots = []; // pickup spawn spots from chunks: { x, y } = where it hovers over
+    let chunkAt = 0;        // world x where the next chunk goes
+    const chunkIds = [];    // ids of the chunks placed this run, in order
+
+    // kind: "solid" | "move" (axis, amp, period, offset) | "crumble" (crumbleAt, falling)
+    // baseX/baseY are where the generator put it; dx/dy its motion over the last tick.
+    function addPlatform(x, y, w, kind = "solid", extra = null) {
+      const p = { x, y, w, h: 10, kind, baseX: x, baseY: y, dx: 0, dy: 0 };
+      platforms.push(extra ? Object.assign(p, extra) : p);
+      return p;
+    }
+
+    // Upper platform generator mood
+    let genMode = "easy";
+    let genModeLeft = 6;
+    let lastPlatY = 110;
+
+    function pickGenMode() {
+      const r = rand();
+      if (r < 0.55) return "easy";
+      if (r < 0.8) return "stairs";
+      return "gaps";
+    }
+
+    function seedWorld() {
+      camX = 0;
+      baseScroll = 0;
+      targetScroll = 90;
+      ghostsRepelled = 0;
+      maxCombo = 0;
+      platformLandings = 0;
+      bonusPoints = 0;
+      nearMissArmed = false;
+      nearMissAt = 0;
+      orbs.length = 0;
+      orbGaps = 0;
+      eventPhase = 0;
+      eventSecond = 0;
+      resetPickups();
+
+      ground.length = 0;
+      platforms.length = 0;
+      spikes.length = 0;
+      pickupSlots.length = 0;
+      chunkIds.length = 0;
+
+      if (course) {
+        seedCourse();
+        return;
+      }
+
+      // Start with a long stable ground so you can breathe
+      addGroundSeg(-600, 2600);
+
+      // Seed some initial upper platforms
+      let x = 160;
+      for (let i = 0; i < 10; i++) {
+        addPlatform(x, irand(78, 120), irand(56, 110));
+        x += irand(90, 160);
+      }
+
+      genMode = "easy";
+      genModeLeft = irand(4, 7);
+      lastPlatY = irand(92, 118);
+
+      chunkAt = groundFar() + irand(300, 900);
+    }
+
+    // a lone chunk with a run-up and a long run-out; the player drops in at startX
+    function seedCourse() {
+      const { chunk } = course;
+      addGroundSeg(-600, 600);
+      placeChunkAt(chunk, 0);
+      addGroundSeg(chunk.w, 4000);
+      camX = clamp(course.startX || 0, -200, chunk.w) - player.x;
+      nextSpawnAt.sword = 1;
+      chunkAt = Infinity;
+    }
+
+    function groundFar() {
+      let far = -Infinity;
+      for (const g of ground) far = Math.max(far, g.x + g.w);
+      return far;
+    }
+
+    function platformsFar() {
+      let far = 0;
+      for (const p of platforms) far = Math.max(far, p.baseX + p.w);
+      return far;
+    }
+
+    // both generators stop at chunkAt, where ensureChunkAhead() takes over
+    function ensureGroundAhead(phase) {
+      let far = groundFar();
+      if (far === -Infinity) far = camX - 500;
+
+      while (far < Math.min(camX + W + 600, chunkAt)) {
+        const makeGap = rand() < diff.groundGapChance;
+        if (makeGap) {
+          // the section will be reached later at an equal or higher scroll, so
+          // checking against the current target speed is the conservative case
+          let gap = irand(GROUND_GAP_MIN, GROUND_GAP_MAX);
+          for (let i = 0; i < REACH_RETRIES && !canReachGap(gap, 0, targetScroll); i++) {
+            gap = irand(GROUND_GAP_MIN, GROUND_GAP_MAX);
+          }
+          gap = Math.min(gap, maxGapFor(0, targetScroll));
+          // too slow for even the narrowest gap: keep the ground continuous
+          if (gap >= GROUND_GAP_MIN && far + gap + GROUND_SEG_W_MIN <= chunkAt) far += gap;
+        }
+        // always close a gap with a segment in the same pass: `far` is rebuilt
+        // from the segments next call, so a trailing gap would be lost
+        let w = irand(GROUND_SEG_W_MIN, GROUND_SEG_W_MAX);
+        // no sliver before a chunk: run this segment right up to it
+        if (chunkAt - (far + w) < GROUND_SEG_W_MIN) w = chunkAt - far;
+        addGroundSeg(far, w);
+        if (rand() < SPIKE_CHANCE[phase - 1] && w >= SPIKE_CLEAR * 2 + SPIKE_W_MAX) {
+          const sw = irand(SPIKE_W_MIN, SPIKE_W_MAX);
+          addSpikes(far + irand(SPIKE_CLEAR, w - SPIKE_CLEAR - sw), sw);
+        }
+        far += w;
+      }
+
+      for (let i = ground.length - 1; i >= 0; i--) {
+        const g = ground[i];
+        if (g.x + g.w < camX - 900) ground.splice(i, 1);
+      }
+      for (let i = spikes.length - 1; i >= 0; i--) {
+        const s = spikes[i];
+        if (s.x + s.w < camX - 900) spikes.splice(i, 1);
+      }
+    }
+
+    function ensurePlatformsAhead(phase) {
+      let far = platformsFar();
+
+      while (far < Math.min(camX + W + 420, chunkAt)) {
+        if (genModeLeft <= 0) {
+          genMode = pickGenMode();
+          genModeLeft = genMode === "easy" ? irand(5, 9) : irand(4, 7);
+        }
+        genModeLeft--;
+
+        // hazard kind first: a mover's reach is checked at its worst point of
+        // travel (furthest right / highest); what comes after it is measured from
+        // its base, which is its worst point for the next jump
+        const r = rand();
+        const kind = r < MOVER_CHANCE[phase - 1] ? "move"
+          : r < MOVER_CHANCE[phase - 1] + CRUMBLE_CHANCE[phase - 1] ? "crumble" : "solid";
+        const axis = rand() < 0.5 ? "x" : "y";
+        const amp = kind === "move" ? irand(MOVER_AMP_MIN, MOVER_AMP_MAX) : 0;
+        const ampX = axis === "x" ? amp : 0, ampY = axis === "y" ? amp : 0;
+
+        let gap = 0, w = 0, y = lastPlatY;
+
+        for (let i = 0; i <= REACH_RETRIES; i++) {
+          if (genMode === "easy") {
+            gap = irand(70, 120); w = irand(56, 110);
+            y = clamp(lastPlatY + irand(-10, 10), 76, 124);
+          } else if (genMode === "stairs") {
+            gap = irand(70, 110); w = irand(50, 90);
+            y = clamp(lastPlatY + irand(-18, 18), 68, 124);
+          } else {
+            gap = irand(110, 165); w = irand(44, 84);
+            y = clamp(lastPlatY + irand(-14, 14), 70, 124);
+          }
+          if (ampY && phase < 3) y = Math.min(y, MOVER_SAFE_Y);
+          if (canReachGap(gap + ampX, y - ampY - lastPlatY, targetScroll)) break;
+        }
+        // still out of reach after the re-rolls: pull the platform in
+        gap = Math.max(0, Math.min(gap, maxGapFor(y - ampY - lastPlatY, targetScroll) - ampX));
+
+        const nextX = far + gap;
+        if (kind === "move") {
+          addPlatform(nextX, y, w, kind, {
+            axis,
+            amp,
+            period: MOVER_PERIOD_MIN + rand() * (MOVER_PERIOD_MAX - MOVER_PERIOD_MIN),
+            offset: rand() * Math.PI * 2,
+          });
+        } else if (kind === "crumble") {
+          addPlatform(nextX, y, w, kind, { crumbleAt: 0, falling: false, vy: 0 });
+        } else {
+          addPlatform(nextX, y, w);
+        }
+        if (kind !== "move") addOrbArc(far, lastPlatY, nextX, y);
+        lastPlatY = y;
+        far = nextX + w;
+      }
+
+      for (let i = platforms.length - 1; i >= 0; i--) {
+        const p = platforms[i];
+        if (p.baseX + p.w + (p.amp || 0) < camX - 600 || p.y > H + 40) platforms.splice(i, 1);
+      }
+      for (let i = pickupSlots.length - 1; i >= 0; i--) {
+        if (pickupSlots[i].x < camX - 600) pickupSlots.splice(i, 1);
+      }
+    }
+
+    // the jump from the top at (x0, y0) to the one at (x1, y1)
+    function addOrbArc(x0, y0, x1, y1) {
+      if (x1 - x0 < ORB_MIN_GAP || ++orbGaps % ORB_EVERY) return;
+      // a runner from halfway between mid-lane and the right edge of the lane
+      const arc = Object.assign({}, REACH_ARC, { scroll: targetScroll, laneRoom: REACH_ARC.laneRoom / 2 });
+      for (let k = 1; k <= ORB_COUNT; k++) {
+        const t = k / (ORB_COUNT + 1);
+        const dx = (x1 - x0) * t;
+        const y = Math.min(y0 - reach.heightAt(dx, arc) - ORB_BODY, lerp(y0, y1, t) - ORB_LIFT);
+        orbs.push({ x: x0 + dx, y, r: ORB_R });
+      }
+    }
+
+    // ---- handcrafted chunks ----
+    // worst case of a jump from a to b: b furthest right / highest, a at its base
+    function linkReachable(a, b, scroll) {
+      const gap = b.x + (b.axis === "x" ? b.amp : 0) - (a.x + a.w);
+      const dy = b.y - (b.axis === "y" ? b.amp : 0) - a.y;
+      return canReachGap(gap, dy, scroll);
+    }
+
+    // chunk placed at x0 can be entered from the last procedural platform and
+    // crossed at the current speed (its exit is where the generator resumes)
+    function chunkFits(c, x0, fromX) {
+      const scroll = targetScroll;
+      const entry = c.platforms[0];
+      if (!canReachGap(x0 + entry.x - fromX, c.entry - lastPlatY, scroll)) return false;
+      for (let i = 1; i < c.platforms.length; i++) {
+        if (!linkReachable(c.platforms[i - 1], c.platforms[i], scroll)) return false;
+      }
+      for (let i = 1; i < c.ground.length; i++) {
+        const a = c.ground[i - 1];
+        if (!canReachGap(c.ground[i].x - (a.x + a.w), 0, scroll)) return false;
+      }
+      return c.spikes.every((s) => canReachGap(s.w, 0, scroll));
+    }
+
+    function ensureChunkAhead(phase) {
+      if (groundFar() < chunkAt) return;
+      const platFar = platformsFar();
+      if (platFar < chunkAt) return;
+
+      const x0 = Math.max(chunkAt, platFar);
+      const fits = chunkLib.LIBRARY.filter((c) => chunkWeight(c, phase) > 0 && chunkFits(c, x0, platFar));
+      let total = 0;
+      for (const c of fits) total += chunkWeight(c, phase);
+      let r = rand() * total;
+      const chunk = fits.find((c) => (r -= chunkWeight(c, phase)) < 0);
+
+      if (!chunk) {
+        // nothing connects from here: another procedural stretch, then try again
+        chunkAt = x0 + irand(300, 600);
+        return;
+      }
+
+      // the ground ends exactly at chunkAt; run it on to the chunk's start
+      const lastSeg = ground[ground.length - 1];
+      lastSeg.w = x0 - lastSeg.x;
+
+      placeChunkAt(chunk, x0);
+      chunkAt = x0 + chunk.w + irand(CHUNK_STRETCH_MIN, CHUNK_STRETCH_MAX);
+    }
+
+    function placeChunkAt(chunk, x0) {
+      for (const g of chunk.ground) addGroundSeg(x0 + g.x, g.w);
+      for (const s of chunk.spikes) addSpikes(x0 + s.x, s.w);
+      for (const p of chunk.platforms) {
+        if (p.kind === "move") addPlatform(x0 + p.x, p.y, p.w, p.kind, { axis: p.axis, amp: p.amp, period: p.period, offset: p.offset });
+        else if (p.kind === "crumble") addPlatform(x0 + p.x, p.y, p.w, p.kind, { crumbleAt: 0, falling: false, vy: 0 });
+        else addPlatform(x0 + p.x, p.y, p.w);
+      }
+      for (const slot of chunk.pickups) pickupSlots.push({ x: x0 + slot.x, y: slot.y });
+
+      lastPlatY = chunk.exit;
+      chunkIds.push(chunk.id);
+    }
+
+    // movers follow the sim clock (so they're the same in every replay); a
+    // crumbling platform drops once its timer runs out
+    function updatePlatforms(dt) {
+      for (const p of platforms) {
+        if (p.kind === "move") {
+          const off = (p.amp * (1 - Math.cos((now / 1000 / p.period) * Math.PI * 2 + p.offset))) / 2;
+          const x = p.axis === "x" ? p.baseX + off : p.baseX;
+          const y = p.axis === "y" ? p.baseY - off : p.baseY;
+          p.dx = x - p.x; p.dy = y - p.y;
+          p.x = x; p.y = y;
+        } else if (p.kind === "crumble" && p.crumbleAt && now >= p.crumbleAt) {
+          if (!p.falling) {
+            p.falling = true;
+            if (player.standingOn === p) droppedBy = p;
+            hooks.particles(p.x - camX + p.w / 2, p.y + 4, 14, { vx: 90, vy: 60, grav: 520, color: "rgba(150,160,190,1)" });
+            hooks.sfx("crumble");
+          }
+          p.vy += GRAVITY * 0.6 * dt;
+          p.dy = p.vy * dt;
+          p.y += p.dy;
+        }
+      }
+    }
+
+    // ===================== Entities =====================
+    const player = {
+      x: 70,
+      y: 40,
+      w: PLAYER_W,
+      h: 20,
+      vx: 0,
+      vy: 0,
+      onGround: false,
+      powers: {},      // active power-ups: type id -> { until, charges }
+      airJumps: 0,     // mid-air jumps left (double jump)
+      attackUntil: 0,
+      attackDir: "right",
+      coyote: 0,
+      jumpBuffer: 0,
+      standingOn: null, // ground segment / platform landed on this tick
+
+      // color is the run's rolled default look (the shell's cosmetics may override it);
+      // rainbow is the 1% power roll, whatever the player looks like
+      color: "#e8eefc",
+      rainbow: false,
+      power: 1.0,      // rainbow = 1.25
+      sprinting: false,
+      combo: 0,
+      comboUntil: 0,
+    };
+
+    const ghost = {
+      x: -90,
+      y: 60,
+      w: 48,
+      h: 64,
+      speed: 0,
+      pushedBackUntil: 0,
+      state: "spawn", // spawn -> calm -> windup -> lunge -> calm (boss: see Boss)
+      stateTime: 0,
+      spawnedAt: 0,
+      fireAt: 0,      // pending fireball launch (ms), 0 = none
+      stall: 0,       // s the player has been hugging the left edge
+      calmUntil: 0,   // no lunges before this (ms), set by a repel
+    };
+
+    // ===================== Player appearance (Alan Becker stickman) =====================
+    function rollPlayerStyle() {
+      const rainbow = rand() < 0.01;
+      player.rainbow = rainbow;
+      player.power = rainbow ? 1.25 : 1.0;
+
+      if (rainbow) {
+        player.color = "#ffffff";
+      } else {
+        const hue = irand(0, 359);
+        // saturated, readable on dark bg
+        player.color = hsl(hue, 90, 68);
+      }
+    }
+
+    // ===================== Power-ups =====================
+    // Types are data (src/powerups.js); every type spawns, is collected and
+    // times out the same way. Effects are applied where they act in step().
+    const { POWERUPS, byId: POWERUP } = powerupLib;
+    const MAGNET_PULL = 160; // px/s
+
+    const pickups = [];      // lying in the world: { type, x, y, w, h, bob }
+    const nextSpawnAt = {};  // type id -> s into the run
+    const collected = {};    // type id -> pickups this run
+
+    function resetPickups() {
+      pickups.length = 0;
+      for (const def of POWERUPS) {
+        nextSpawnAt[def.id] = def.spawn.first;
+        collected[def.id] = 0;
+      }
+    }
+
+    const hasPower = (id) => !!player.powers[id];
+    const activeEffects = () => Object.keys(player.powers).map((id) => POWERUP[id].effects);
+
+    function maybeSpawnPickups(tSec, phase) {
+      for (const def of POWERUPS) {
+        if (tSec < nextSpawnAt[def.id] || phase < def.spawn.minPhase) continue;
+
+        const inRange = (x) => x > camX + 90 && x < camX + W + 420;
+        const free = (s) => !pickups.some((q) => q.type !== def.id && Math.abs(q.x + 4 - s.x) < 24 && Math.abs(q.y + 12 - s.y) < 24);
+        // a chunk's pickup slots win over plain platform tops
+        let spots = pickupSlots.filter((s) => inRange(s.x) && free(s));
+        if (!spots.length) {
+          spots = platforms
+            .filter((p) => p.kind === "solid" && inRange(p.x))
+            .map((p) => ({ x: p.x + p.w * 0.5, y: p.y }))
+            .filter(free);
+        }
+        const spot = spots.length ? spots[irand(0, spots.length - 1, aiRand)] : null;
+
+        const sx = spot ? spot.x - 4 : camX + W + 140;
+        const sy = spot ? spot.y - 12 : groundY - 22;
+
+        const old = pickups.findIndex((q) => q.type === def.id);
+        if (old >= 0) pickups.splice(old, 1);
+        pickups.push({ type: def.id, x: sx, y: sy, w: 10, h: 12, bob: 0 });
+        nextSpawnAt[def.id] = tSec + spawnEvery(def);
+      }
+    }
+
+    // the sword's timing is the difficulty's
+    function spawnEvery(def) {
+      if (!def.effects.sword) return def.spawn.every;
+      return bossUp() ? BOSS_SWORD_EVERY : diff.swordEvery;
+    }
+
+    function powerDuration(def) {
+      if (def.effects.sword) return player.rainbow ? diff.swordRainbowDuration : diff.swordDuration;
+      return player.rainbow && def.rainbowDuration ? def.rainbowDuration : def.duration;
+    }
+
+    function grantPower(def) {
+      const fx = def.effects;
+      const dur = powerDuration(def);
+      player.powers[def.id] = { until: now + dur, charges: fx.shield || 0 };
+      collected[def.id]++;
+      emit("pickup", { power: def.id });
+      if (fx.sword) {
+        // combo reset
+        player.combo = 0;
+        player.comboUntil = 0;
+      }
+      if (fx.airJumps) player.airJumps = Math.max(player.airJumps, fx.airJumps);
+      hooks.sfx("pickup");
+      hooks.flash(0.06);
+    }
+
+    function endPower(id) {
+      const fx = POWERUP[id].effects;
+      delete player.powers[id];
+      if (fx.sword) {
+        player.attackUntil = 0;
+        player.combo = 0;
+        player.comboUntil = 0;
+      }
+      if (fx.airJumps) player.airJumps = 0;
+    }
+
+    // ===================== Ghost AI (phases + ramp) =====================
+    // Ghost starts slow, then ramps to scary-fast over time, with phases.
+    // (Phase thresholds and the ramp come from the difficulty.)
+
+    // Random events as per-second rates (index = phase - 1)
+    const LUNGE_RATE = [0.054, 0.096, 0.156, 0.192];
+    const BLINK_RATE = 0.054; // phase 4 only
+
+    // Every lunge is announced: the ghost holds back, shakes, flashes its eyes
+    // and cues a sound first, for the difficulty's windupStart s in phase 1
+    // shortening evenly to windupEnd s in phase 4.
+    const lungeWindup = (phase) => lerp(diff.windupStart, diff.windupEnd, (phase - 1) / 3);
+
+    // Player-aware lunge rate multipliers
+    const STALL_X = LANE_MIN + 14;  // "hugging the left edge" = player.x below this
+    const STALL_TIME = 2.5;         // s before stalling is punished
+    const STALL_MULT = 5;           // ... with this many times the lunge rate
+    const GAP_MULT = 6;             // airborne over a gap: the ghost goes for it
+    const REPEL_CALM = 2500;        // ms without lunges after a repel
+
+    function overGap() {
+      if (player.onGround) return false;
+      const fx = player.x + camX + player.w / 2;
+      return !ground.some((g) => fx >= g.x && fx <= g.x + g.w);
+    }
+
+    function lungeRate(phase, dt) {
+      // stalling is tracked through a repel's calm too, so it's never stale after it
+      ghost.stall = player.x < STALL_X ? ghost.stall + dt : 0;
+      if (now < ghost.calmUntil) return 0;
+      let rate = LUNGE_RATE[phase - 1];
+      if (ghost.stall > STALL_TIME) rate *= STALL_MULT;
+      if (overGap()) rate *= GAP_MULT;
+      return rate;
+    }
+
+    function ghostChaseFactor(tSec) {
+      // Start under-speed, ramp over time.
+      // normal: 0s: 0.78x, 90s+: 1.45x
+      const t = clamp(tSec / diff.chaseRamp, 0, 1);
+      return lerp(diff.chaseStart, diff.chaseEnd, t);
+    }
+
+    function updateGhost(dt, tSec) {
+      ghost.stateTime += dt;
+
+      // Soft intro scroll ramp (world speed)
+      targetScroll = course && course.scroll ? course.scroll
+        : diff.scrollBase + tSec * diff.scrollPerSec + ghostsRepelled * diff.scrollPerRepel;
+      if (boss.state === "fight") targetScroll = BOSS_SCROLL;
+      // ease baseScroll toward target
+      baseScroll = lerp(baseScroll, targetScroll, 1 - Math.pow(0.001, dt)); // frame-rate independent easing
+
+      // test runs: the course scrolls, but nothing chases
+      if (course) {
+        ghost.x = -200;
+        return;
+      }
+
+      if (boss.state !== "off") {
+        updateBoss(dt, tSec);
+        return;
+      }
+
+      // Phase-based spice:
+      const phase = phaseAt(tSec, diff);
+
+      // relative ghost speed factor ramps
+      const chase = ghostChaseFactor(tSec) * (phase === 1 ? 0.95 : phase === 2 ? 1.02 : phase === 3 ? 1.08 : 1.14);
+      ghost.speed = baseScroll * chase;
+
+      // State machine
+      if (ghost.state === "spawn") {
+        const p = clamp((tSec - ghost.spawnedAt) / 1.0, 0, 1); // 1s spawn anim
+        // drift into view
+        ghost.x = lerp(-120, -30, p);
+        if (p >= 1) {
+          ghost.state = "calm";
+          ghost.stateTime = 0;
+        }
+      } else {
+        // Lunges increase in frequency by phase, and with what the player is doing
+        const lungeChance = chanceIn(lungeRate(phase, dt), dt);
+
+        if (ghost.state === "calm" && tSec > 10 && aiRand() < lungeChance) {
+          ghost.state = "windup";
+          ghost.stateTime = 0;
+          hooks.sfx("windup");
+        }
+
+        if (ghost.state === "windup") {
+          // draw back a little while it winds up
+          ghost.x -= 10 * dt;
+          if (ghost.stateTime >= lungeWindup(phase)) {
+            ghost.state = "lunge";
+            ghost.stateTime = 0;
+            hooks.lungeTint(0.18);
+            if (aiRand() < FIREBALL_CHANCE[phase - 1]) ghost.fireAt = now + FIREBALL_DELAY;
+          }
+        } else if (ghost.state === "lunge") {
+          if (ghost.fireAt && now >= ghost.fireAt) {
+            ghost.fireAt = 0;
+            launchFireball(phase);
+          }
+          // short, sharp burst
+          if (ghost.stateTime < 0.55) {
+            ghost.x += (ghost.speed * (phase >= 3 ? 1.85 : 1.7) - baseScroll) * dt + 40 * dt;
+          } else {
+            ghost.state = "calm";
+            ghost.stateTime = 0;
+            ghost.fireAt = 0;
+          }
+        } else {
+          // normal chase, with knockback window
+          if (now < ghost.pushedBackUntil) ghost.x -= (phase >= 4 ? 150 : 120) * dt;
+          else ghost.x += (ghost.speed - baseScroll) * dt + (phase >= 3 ? 18 : 14) * dt;
+
+          // Phase 4: occasional tiny "blink" (micro-teleport) but not unfair
+          if (phase === 4 && aiRand() < chanceIn(BLINK_RATE, dt) && ghost.x < 30) {
+            ghost.x += 14;
+            hooks.particles(ghost.x + ghost.w * 0.5, ghost.y + 30, 10, { vx: 80, vy: 120, color: "rgba(190,210,255,1)" });
+            hooks.flash(0.05);
+          }
+        }
+      }
+
+      ghost.y = 62 + Math.sin(tSec * 3.1) * 4;
+    }
+
+    // ===================== Enemies =====================
+    // Smaller threats from phase 2 on, in screen space like the ghost. Any of
+    // them ends the run on touch (each with its own reason) and dies to one
+    // sword hit.
+    //   wisp      drifts in from the right on a sine path across the lane
+    //   bat       drops in ahead of the player, hangs (the telegraph), then swoops
+    //             at where the player was and climbs away
+    //   fireball  shot at the player by the ghost partway into a lunge
+    const ENEMY = {
+      wisp: { w: 8, h: 8, reason: "A wisp got you!" },
+      bat: { w: 12, h: 8, reason: "A bat swooped down on you!" },
+      fireball: { w: 8, h: 8, reason: "Burned by a ghost fireball!" },
+    };
+    const WISP_RATE = [0, 0.04, 0.08, 0.11];
+    const BAT_RATE = [0, 0, 0.05, 0.08];
+    const FIREBALL_CHANCE = [0, 0, 0.5, 0.8]; // per lunge
+    const FIREBALL_DELAY = 250; // ms into the lunge
+    const BAT_HANG = 0.7, BAT_DIVE_V = 190;
+
+    const enemies = []; // { type, x, y, w, h, vx, vy, t, dx, dy, ... }
+    let enemiesDestroyed = 0;
+
+    function addEnemy(type, x, y, extra) {
+      const e = Object.assign({ type, x, y, w: ENEMY[type].w, h: ENEMY[type].h, vx: 0, vy: 0, t: 0, dx: 0, dy: 0 }, extra);
+      enemies.push(e);
+      return e;
+    }
+
+    function maybeSpawnEnemies(dt, phase) {
+      if (aiRand() < chanceIn(WISP_RATE[phase - 1], dt)) {
+        addEnemy("wisp", W + 8, 0, {
+          vx: -irand(50, 80, aiRand),
+          baseY: irand(70, 118, aiRand),
+          amp: irand(10, 20, aiRand),
+          freq: 2 + aiRand(),
+        });
+      }
+      if (aiRand() < chanceIn(BAT_RATE[phase - 1], dt) && !enemies.some((e) => e.type === "bat")) {
+        addEnemy("bat", clamp(player.x + irand(90, 170, aiRand), 40, W - 20), -10, { state: "drop" });
+      }
+    }
+
+    function launchFireball(phase) {
+      const x = ghost.x + ghost.w - 6, y = ghost.y + ghost.h * 0.45;
+      const ax = player.x + player.w / 2 - x, ay = player.y + player.h / 2 - y;
+      const d = Math.hypot(ax, ay) || 1;
+      const v = 150 + phase * 20;
+      addEnemy("fireball", x, y, { vx: (ax / d) * v, vy: (ay / d) * v });
+      hooks.sfx("fireball");
+      hooks.particles(x, y + 4, 8, { vx: 60, vy: 60, grav: 0, color: "rgba(140,200,255,1)" });
+    }
+
+    function updateEnemies(dt) {
+      for (let i = enemies.length - 1; i >= 0; i--) {
+        const e = enemies[i];
+        const x0 = e.x, y0 = e.y;
+        e.t += dt;
+
+        if (e.type === "wisp") {
+          e.x += e.vx * dt;
+          e.y = e.baseY + Math.sin(e.t * e.freq) * e.amp;
+        } else if (e.type === "bat") {
+          if (e.state === "drop") {
+            e.y = lerp(-10, 12, clamp(e.t / 0.4, 0, 1));
+            if (e.t >= BAT_HANG) {
+              // aim at where the player is now; the hang gave them time to react
+              const ax = player.x + player.w / 2 - (e.x + e.w / 2), ay = player.y + player.h / 2 - (e.y + e.h / 2);
+              const d = Math.hypot(ax, ay) || 1;
+              e.vx = (ax / d) * BAT_DIVE_V;
+              e.vy = (ay / d) * BAT_DIVE_V;
+              e.diveTo = player.y + player.h / 2;
+              e.state = "dive";
+              hooks.sfx("swoop");
+            }
+          } else {
+            if (e.state === "dive" && (e.y + e.h / 2 >= e.diveTo || e.y > groundY - e.h)) {
+              e.state = "climb";
+              e.vx = -110;
+              e.vy = -150;
+            }
+            e.x += e.vx * dt;
+            e.y += e.vy * dt;
+          }
+        } else {
+          e.x += e.vx * dt;
+          e.y += e.vy * dt;
+        }
+
+        e.dx = e.x - x0;
+        e.dy = e.y - y0;
+        if (e.x < -30 || e.x > W + 40 || e.y < -30 || e.y > H + 20) enemies.splice(i, 1);
+      }
+    }
+
+    // ===================== Boss =====================
+    // Once per run, after phase 4 begins, BOSS_AFTER s later or at BOSS_REPELS repels: the
+    // ghost transforms and fights from the left edge of the lane. The world ahead
+    // is swapped for a flat arena with low platforms and the scroll slows down,
+    // so the attacks are dodged by position rather than by a lucky layout:
+    //   sweep   a blade column crosses the lane above ground level -> stay grounded
+    //   volley  a fan of fireballs at the player                   -> jump, or cut them
+    //   grab    hands erupt along the ground for longer than a jump -> get on a platform
+    // Every attack is telegraphed for ATTACK[type].tell seconds. Sword hits drain
+    // its health; at zero it falls, the player gets the reward (a shield) and the
+    // normal chase resumes with a freshly spawned ghost.
+    const BOSS_AFTER = 20, BOSS_REPELS = 25;
+    const BOSS_HP = 8;
+    const BOSS_X = -30;            // screen x it fights from (its edge stays left of LANE_MIN)
+    const BOSS_SCROLL = 70;        // arena scroll speed
+    const BOSS_RISE = 2.2, BOSS_FALL = 2.5; // s
+    const BOSS_HURT_COOLDOWN = 350; // ms between hits that count
+    const BOSS_SWORD_EVERY = 7;    // s between sword spawns while it's up
+    const BOSS_ATTACKS = ["sweep", "volley", "grab"];
+    const ATTACK = {
+      sweep: { tell: 0.9, act: 1.2, rest: 1.0 },
+      volley: { tell: 0.8, act: 0.6, rest: 1.0 },
+      grab: { tell: 1.3, act: 0.9, rest: 1.2 },
+    };
+    const SWEEP_X0 = 20, SWEEP_W = 10, SWEEP_CLEAR = 26; // the column stops SWEEP_CLEAR px above the ground
+    const GRAB_H = 24;
+    const VOLLEY = 5, VOLLEY_SPREAD = 0.7; // fireballs, total fan angle (rad)
+
+    // state: off -> rise -> fight -> fall -> off (done)
+    const boss = { state: "off", t: 0, hp: 0, maxHp: BOSS_HP, hurtUntil: 0, attack: null, next: 0, sweepX: 0, shots: 0, done: false };
+    let arena = false;      // generating arena terrain instead of the procedural course
+    let arenaFrom = 0;      // world x the arena starts at
+    let bossesDefeated = 0;
+
+    function resetBoss() {
+      Object.assign(boss, { state: "off", t: 0, hp: 0, hurtUntil: 0, attack: null, next: 0, sweepX: 0, shots: 0, done: false });
+      arena = false;
+      bossesDefeated = 0;
+    }
+
+    const bossUp = () => boss.state === "rise" || boss.state === "fight";
+
+    function maybeStartBoss(tSec) {
+      if (course || boss.done || boss.state !== "off" || tSec < diff.ph3) return;
+      if (tSec < diff.ph3 + BOSS_AFTER && ghostsRepelled < BOSS_REPELS) return;
+
+      boss.state = "rise";
+      boss.t = 0;
+      boss.hp = BOSS_HP;
+      boss.next = 0;
+      ghost.state = "boss";
+      ghost.fireAt = 0;
+      startArena(camX + W + 40);
+      nextSpawnAt.sword = Math.min(nextSpawnAt.sword, tSec + BOSS_RISE);
+      hooks.sfx("bossrise");
+      hooks.shake(6, 0.4);
+      hooks.flash(0.1);
+      hooks.lungeTint(0.3);
+    }
+
+    // drop everything generated past x (all off screen) so the arena starts there
+    function startArena(x) {
+      for (let i = ground.length - 1; i >= 0; i--) {
+        const g = ground[i];
+        if (g.x >= x) ground.splice(i, 1);
+        else if (g.x + g.w > x) g.w = x - g.x;
+      }
+      for (let i = spikes.length - 1; i >= 0; i--) if (spikes[i].x + spikes[i].w > x) spikes.splice(i, 1);
+      for (let i = platforms.length - 1; i >= 0; i--) if (platforms[i].baseX + platforms[i].w > x) platforms.splice(i, 1);
+      for (let i = pickupSlots.length - 1; i >= 0; i--) if (pickupSlots[i].x >= x) pickupSlots.splice(i, 1);
+      for (let i = orbs.length - 1; i >= 0; i--) if (orbs[i].x >= x) orbs.splice(i, 1);
+      arenaFrom = x;
+      arena = true;
+    }
+
+    // flat ground, no hazards, plenty of low solid platforms
+    function ensureArenaAhead() {
+      const far = Math.max(groundFar(), arenaFrom);
+      const to = camX + W + 600;
+      if (far < to) {
+        const last = ground[ground.length - 1];
+        if (last && last.x + last.w === far) last.w += to - far;
+        else addGroundSeg(far, to - far);
+      }
+
+      let pfar = Math.max(platformsFar(), arenaFrom);
+      while (pfar < camX + W + 420) {
+        const x = pfar + irand(40, 90);
+        const w = irand(64, 96);
+        lastPlatY = irand(96, 112);
+        addPlatform(x, lastPlatY, w);
+        pfar = x + w;
+      }
+
+      for (let i = ground.length - 1; i >= 0; i--) {
+        if (ground[i].x + ground[i].w < camX - 900) ground.splice(i, 1);
+      }
+      for (let i = platforms.length - 1; i >= 0; i--) {
+        const p = platforms[i];
+        if (p.baseX + p.w + (p.amp || 0) < camX - 600 || p.y > H + 40) platforms.splice(i, 1);
+      }
+    }
+
+    function updateBoss(dt, tSec) {
+      boss.t += dt;
+      ghost.y = 58 + Math.sin(tSec * 2.2) * 3;
+
+      if (boss.state === "rise") {
+        ghost.x = lerp(ghost.x, BOSS_X, 1 - Math.pow(0.02, dt));
+        if (boss.t >= BOSS_RISE) {
+          boss.state = "fight";
+          boss.t = 0;
+          nextAttack();
+        }
+        return;
+      }
+
+      if (boss.state === "fall") {
+        ghost.x -= 60 * dt;
+        if (boss.t >= BOSS_FALL) endBoss(tSec);
+        return;
+      }
+
+      // fight
+      ghost.x = lerp(ghost.x, BOSS_X, 1 - Math.pow(0.05, dt));
+      const a = boss.attack;
+      a.t += dt;
+      const spec = ATTACK[a.type];
+
+      if (a.stage === "tell" && a.t >= spec.tell) {
+        a.stage = "act";
+        a.t = 0;
+        boss.sweepX = SWEEP_X0;
+        boss.shots = 0;
+        hooks.sfx(a.type === "grab" ? "grab" : a.type === "sweep" ? "sweep" : "fireball");
+        if (a.type === "grab") hooks.shake(5, spec.act);
+      } else if (a.stage === "act") {
+        if (a.type === "sweep") {
+          boss.sweepX = lerp(SWEEP_X0, W, a.t / spec.act);
+        } else if (a.type === "volley") {
+          const due = Math.min(VOLLEY, Math.floor((a.t / spec.act) * VOLLEY) + 1);
+          while (boss.shots < due) volleyShot(boss.shots++);
+        }
+        if (a.t >= spec.act) {
+          a.stage = "rest";
+          a.t = 0;
+        }
+      } else if (a.stage === "rest" && a.t >= spec.rest) {
+        nextAttack();
+      }
+    }
+
+    function nextAttack() {
+      boss.attack = { type: BOSS_ATTACKS[boss.next++ % BOSS_ATTACKS.length], stage: "tell", t: 0 };
+    }
+
+    function volleyShot(i) {
+      const x = ghost.x + ghost.w - 4, y = ghost.y + ghost.h * 0.4;
+      const aim = Math.atan2(player.y + player.h / 2 - y, player.x + player.w / 2 - x);
+      const ang = aim + (i / (VOLLEY - 1) - 0.5) * VOLLEY_SPREAD;
+      addEnemy("fireball", x, y, { vx: Math.cos(ang) * 170, vy: Math.sin(ang) * 170 });
+    }
+
+    // the active attack's hit area (screen space), or null
+    function bossHazard() {
+      const a = boss.attack;
+      if (boss.state !== "fight" || !a || a.stage !== "act") return null;
+      if (a.type === "sweep") return { x: boss.sweepX, y: 0, w: SWEEP_W, h: groundY - SWEEP_CLEAR, reason: "Cut down by the ghost's sweep!" };
+      if (a.type === "grab") return { x: SWEEP_X0, y: groundY - GRAB_H, w: W - SWEEP_X0, h: GRAB_H, reason: "Dragged under by the ghost's hands!" };
+      return null;
+    }
+
+    function hurtBoss() {
+      if (now < boss.hurtUntil) return;
+      boss.hurtUntil = now + BOSS_HURT_COOLDOWN;
+      boss.hp--;
+      ghost.x -= 8;
+      hooks.particles(ghost.x + ghost.w * 0.8, ghost.y + ghost.h * 0.5, 16, {
+        vx: 140, vy: 140, grav: 300, color: "rgba(255,140,160,1)"
+      });
+      hooks.sfx("bosshit");
+      hooks.shake(5, 0.15);
+      hooks.flash(0.06);
+
+      if (boss.hp <= 0) {
+        boss.state = "fall";
+        boss.t = 0;
+        boss.attack = null;
+        bossesDefeated++;
+        emit("boss");
+        // reward: a free shield for the chase that follows
+        grantPower(POWERUP.shield);
+        hooks.particles(ghost.x + ghost.w * 0.5, ghost.y + ghost.h * 0.5, 40, {
+          vx: 200, vy: 200, grav: 200, color: "rgba(230,240,255,1)"
+        });
+        hooks.sfx("bossdown");
+        hooks.shake(10, 0.5);
+        hooks.flash(0.15);
+      }
+    }
+
+    function endBoss(tSec) {
+      boss.state = "off";
+      boss.done = true;
+      arena = false;
+      chunkAt = groundFar() + irand(300, 900);
+      ghost.state = "spawn";
+      ghost.stateTime = 0;
+      ghost.spawnedAt = tSec;
+      ghost.x = -120;
+      ghost.pushedBackUntil = 0;
+    }
+
+    function destroyEnemy(e) {
+      enemies.splice(enemies.indexOf(e), 1);
+      enemiesDestroyed++;
+      emit("enemy", { enemy: e.type });
+      hooks.particles(e.x + e.w / 2, e.y + e.h / 2, 12, {
+        vx: 110, vy: 110, grav: 300,
+        color: e.type === "fireball" ? "rgba(140,200,255,1)" : "rgba(230,240,255,1)"
+      });
+      hooks.sfx("pop");
+    }
+
+    // ===================== Events =====================
+    // what onEvent reports; "phase" / "second" fire when these move on
+    let eventPhase = 0;
+    let eventSecond = 0;
+
+    function runStats() {
+      const time = (now - startedAt) / 1000;
+      return {
+        time,
+        phase: phaseAt(time, diff),
+        repels: ghostsRepelled,
+        combo: player.combo,
+        maxCombo,
+        enemiesDestroyed,
+        bossesDefeated,
+        platformLandings,
+        score: score(),
+        rainbow: player.rainbow,
+        difficulty: diff.name,
+      };
+    }
+
+    function emit(type, extra = null) {
+      hooks.onEvent(type, Object.assign(runStats(), extra));
+    }
+
+    // ===================== Score =====================
+    const score = () => Math.floor(camX / DISTANCE_PER_POINT) + bonusPoints;
+
+    // x, y: screen coords for the popup
+    function addPoints(n, x, y) {
+      bonusPoints += n;
+      hooks.popup(x, y, `+${n}`);
+    }
+
+    // ===================== Game over / restart =====================
+    function triggerGameOver(reason) {
+      if (gameOver || immortal) return;
+      gameOver = true;
+      gameOverReason = reason;
+      const t = (now - startedAt) / 1000;
+      const isBest = !course && t > best;
+      if (isBest) best = t;
+      if (storage && isBest) {
+        try { storage.setItem(bestKey(), String(best)); } catch {}
+      }
+      const points = score();
+      const isBestScore = !course && points > bestScore;
+      if (isBestScore) bestScore = points;
+      if (storage && isBestScore) {
+        try { storage.setItem(`${bestKey()}_score`, String(bestScore)); } catch {}
+      }
+      hooks.sfx("gameover");
+      hooks.shake(8, 0.25);
+      hooks.flash(0.12);
+      emit("gameover", { reason });
+      hooks.onGameOver({
+        reason,
+        time: t,
+        isBest,
+        score: points,
+        isBestScore,
+        seed: runSeed,
+        repels: ghostsRepelled,
+        maxCombo,
+        swordsCollected: collected.sword,
+        enemiesDestroyed,
+        bossesDefeated,
+        phase: phaseAt(t, diff),
+        difficulty: diff.name,
+        course: difficultyLib.courseKey(diff),
+        rainbow: player.rainbow,
+      });
+    }
+
+    // seed: course to play (defaults to the current seed, i.e. the same course again)
+    // testCourse: a single chunk to play instead (see the header)
+    function restart(seed = runSeed, testCourse = null) {
+      course = testCourse;
+      if (diff !== nextDiff) {
+        diff = nextDiff;
+        loadBest();
+      }
+      gameOver = false;
+      gameOverReason = "";
+      started = false;
+
+      // fresh RNG streams per run: same seed => same course
+      runSeed = seed >>> 0;
+      rand = rng.makeRng(runSeed);
+      aiRand = rng.makeRng(runSeed ^ rng.AI_SALT);
+
+      player.x = 70;
+      player.y = 40;
+      player.vx = 0;
+      player.vy = 0;
+      player.onGround = false;
+      player.coyote = 0;
+      player.jumpBuffer = 0;
+      player.standingOn = null;
+      droppedBy = null;
+      player.powers = {};
+      player.airJumps = 0;
+      player.attackUntil = 0;
+      player.attackDir = "right";
+      player.combo = 0;
+      player.comboUntil = 0;
+
+      rollPlayerStyle();
+
+      ghost.x = -120;
+      ghost.y = 60;
+      ghost.pushedBackUntil = 0;
+      ghost.state = "spawn";
+      ghost.stateTime = 0;
+      ghost.spawnedAt = 0;
+      ghost.fireAt = 0;
+      ghost.stall = 0;
+      ghost.calmUntil = 0;
+      enemies.length = 0;
+      enemiesDestroyed = 0;
+      resetBoss();
+
+      now = 0;
+      startedAt = now;
+
+      seedWorld();
+    }
+
+    // a shield charge soaks up a hit: true if one did
+    function shieldBlocks() {
+      const guard = Object.keys(player.powers).find((id) => player.powers[id].charges > 0);
+      if (!guard) return false;
+      if (--player.powers[guard].charges <= 0) endPower(guard);
+      hooks.particles(player.x + player.w / 2, player.y + player.h / 2, 20, {
+        vx: 140, vy: 140, grav: 200, color: "rgba(143,211,255,1)"
+      });
+      hooks.sfx("shield");
+      hooks.shake(4, 0.12);
+      hooks.flash(0.08);
+      return true;
+    }
+
+    // ===================== Physics collision =====================
+    // the crumbling platform the player was standing on when it gave way, until
+    // they land again (so a fall after it is blamed on the platform)
+    let droppedBy = null;
+
+    function landOn(p, impactVy) {
+      player.y = p.y - player.h;
+      player.vy = 0;
+      player.onGround = true;
+      player.coyote = COYOTE_TIME;
+      player.standingOn = p;
+      droppedBy = null;
+      player.airJumps = activeEffects().reduce((n, fx) => n + (fx.airJumps || 0), 0);
+
+      if (p.kind === "crumble" && !p.crumbleAt) {
+        p.crumbleAt = now + CRUMBLE_DELAY;
+        hooks.sfx("creak");
+      }
+
+      if (impactVy > LAND_SOUND_VY) hooks.sfx("land");
+      // landing juice (only if you were falling fast enough)
+      if (impactVy > 320) {
+        hooks.particles(player.x + 6, player.y + player.h, 10, {
+          vx: 120, vy: 140, grav: 520,
+          color: player.rainbow ? "hsl(200 95% 70%)" : "rgba(230,240,255,1)"
+        });
+        hooks.shake(2, 0.08);
+      }
+    }
+
+    // ===================== Step =====================
+    function step(dt) {
+      now += dt * 1000;
+      const tSec = (now - startedAt) / 1000;
+
+      const phase = phaseAt(tSec, diff);
+      if (arena) {
+        ensureArenaAhead();
+      } else if (!course) {
+        ensureGroundAhead(phase);
+        ensurePlatformsAhead(phase);
+        ensureChunkAhead(phase);
+      }
+      maybeSpawnPickups(tSec, phase);
+      updatePlatforms(dt);
+
+      if (!started && !gameOver) {
+        const startPressed = input.wasPressed("jump") || input.wasPressed("right");
+        if (startPressed) {
+          started = true;
+          hooks.onStart();
+
+          // ghost spawn sfx + particles
+          ghost.state = "spawn";
+          ghost.stateTime = 0;
+          ghost.spawnedAt = tSec;
+          hooks.sfx("ghostspawn");
+          hooks.particles(18, 92, 22, { vx: 120, vy: 150, grav: 420, color: "rgba(190,210,255,1)" });
+          hooks.flash(0.08);
+          emit("start");
+        } else {
+          return;
+        }
+      }
+      if (gameOver) return;
+
+      if (phase !== eventPhase) {
+        eventPhase = phase;
+        emit("phase");
+      }
+      if (Math.floor(tSec) > eventSecond) {
+        eventSecond = Math.floor(tSec);
+        emit("second");
+      }
+
+      const jumpPressed = input.wasPressed("jump");
+      const attackPressed = input.wasPressed("attack");
+
+      // coyote/buffer
+      player.coyote -= dt;
+      player.jumpBuffer -= dt;
+      if (jumpPressed) player.jumpBuffer = JUMP_BUFFER;
+
+      // sprinting
+      player.sprinting = input.isDown("sprint");
+
+      // horizontal
+      const right = input.isDown("right");
+      const left = input.isDown("left");
+      const ax = RUN_ACCEL * (player.sprinting ? 1.08 : 1.0);
+      if (right) player.vx += ax * dt;
+      if (left) player.vx -= ax * dt;
+
+      const moveDamp = player.onGround ? MOVE_GROUND : MOVE_AIR;
+      player.vx *= moveDamp;
+
+      const speedCap = (player.sprinting ? SPRINT_SPEED_CAP : SPEED_CAP) * player.power;
+      player.vx = clamp(player.vx, -speedCap * 0.9, speedCap);
+
+      // ride a moving platform (before integrating, so it lands on it again below)
+      const carrier = player.onGround ? player.standingOn : null;
+      if (carrier && carrier.kind === "move") {
+        player.x += carrier.dx;
+        player.y += carrier.dy;
+      }
+
+      // integrate
+      const preVy = player.vy;
+      player.vy += GRAVITY * dt;
+      player.x += player.vx * dt;
+      player.y += player.vy * dt;
+
+      // keep in lane (intentionally a "runner" lane)
+      player.x = clamp(player.x, LANE_MIN, LANE_MAX);
+
+      // collisions: ground + platforms
+      player.onGround = false;
+      player.standingOn = null;
+
+      const worldP = { x: player.x + camX, y: player.y, w: player.w, h: player.h };
+      const prevY = player.y - player.vy * dt;
+      const wasAbove = prevY + player.h;
+
+      const skin = 6;
+      let landed = false;
+
+      // ---- land on ground segments ----
+      for (const g of ground) {
+        if (worldP.x + worldP.w > g.x && worldP.x < g.x + g.w) {
+          const wasAboveGround = wasAbove <= g.y + 1;
+          const isFalling = player.vy >= 0;
+          const hitsTop = player.y + player.h >= g.y && player.y + player.h <= g.y + skin;
+          if (wasAboveGround && isFalling && hitsTop) {
+            landOn(g, preVy);
+            landed = true;
+            break;
+          }
+        }
+      }
+
+      // ---- land on platforms ----
+      if (!landed) {
+        for (const p of platforms) {
+          if (p.falling) continue;
+          if (worldP.x + worldP.w > p.x && worldP.x < p.x + p.w) {
+            const wasAbovePlat = wasAbove <= p.y + 1;
+            const isFalling = player.vy >= 0;
+            const hitsTop = player.y + player.h >= p.y && player.y + player.h <= p.y + skin;
+            if (wasAbovePlat && isFalling && hitsTop) {
+              landOn(p, preVy);
+              platformLandings++;
+              landed = true;
+              break;
+            }
+          }
+        }
+      }
+
+      // ---- hazards ----
+      const feet = { x: worldP.x + 2, y: player.y + player.h - 4, w: player.w - 4, h: 4 };
+      if (spikes.some((s) => aabb(feet, s))) triggerGameOver("Impaled on spikes!");
+
+      // a sinking mover pins you against the ground
+      if (player.standingOn && player.standingOn.kind !== "move") {
+        const body = { x: worldP.x, y: player.y, w: player.w, h: player.h };
+        if (platforms.some((p) => p.kind === "move" && p.dy > 0 && aabb(body, p))) {
+          triggerGameOver("Squashed by a moving platform!");
+        }
+      }
+
+      // fall death
+      if (player.y > H + 60) triggerGameOver(droppedBy ? "The platform crumbled under you!" : "You fell!");
+
+      // jump (with dust)
+      if (player.jumpBuffer > 0 && player.coyote > 0) {
+        // dust at feet
+        hooks.particles(player.x + 6, player.y + player.h, 8, {
+          vx: 90, vy: 120, grav: 520,
+          color: player.rainbow ? "hsl(60 95% 70%)" : "rgba(230,240,255,1)"
+        });
+
+        player.vy = -JUMP_V * player.power;
+        player.onGround = false;
+        player.coyote = 0;
+        player.jumpBuffer = 0;
+        hooks.sfx("jump");
+      } else if (jumpPressed && !player.onGround && player.airJumps > 0) {
+        // double jump: a slightly weaker second kick, from wherever you are
+        player.airJumps--;
+        player.vy = -JUMP_V * player.power * 0.9;
+        player.jumpBuffer = 0;
+        hooks.particles(player.x + 6, player.y + player.h, 10, {
+          vx: 110, vy: 60, grav: 300, color: "rgba(185,255,176,1)"
+        });
+        hooks.sfx("jump");
+      }
+
+      // variable jump
+      const jumpHeld = input.isDown("jump");
+      if (!jumpHeld && player.vy < 0) player.vy *= JUMP_CUT;
+
+      // Attack direction toward the nearest threat (the ghost or an enemy)
+      if (attackPressed && hasPower("sword") && player.attackUntil <= now) {
+        player.attackUntil = now + 140;
+
+        const px = player.x + player.w / 2, py = player.y + player.h / 2;
+        let dx = ghost.x + ghost.w / 2 - px, dy = ghost.y + ghost.h / 2 - py;
+        for (const e of enemies) {
+          const ex = e.x + e.w / 2 - px, ey = e.y + e.h / 2 - py;
+          if (Math.hypot(ex, ey) < Math.hypot(dx, dy)) { dx = ex; dy = ey; }
+        }
+
+        if (Math.abs(dx) > Math.abs(dy)) player.attackDir = dx > 0 ? "right" : "left";
+        else player.attackDir = dy > 0 ? "down" : "up";
+      }
+
+      // pickups: bob, drift toward a magnet, collect
+      {
+        const magnet = activeEffects().reduce((r, fx) => Math.max(r, fx.magnet || 0), 0);
+        const cx = player.x + camX + player.w / 2, cy = player.y + player.h / 2;
+        const playerBox = { x: player.x, y: player.y, w: player.w, h: player.h };
+        for (let i = pickups.length - 1; i >= 0; i--) {
+          const pu = pickups[i];
+          pu.bob += 4.8 * dt; // bob phase (drawn by the renderer)
+          if (magnet && !POWERUP[pu.type].effects.magnet) {
+            const dx = cx - (pu.x + pu.w / 2), dy = cy - (pu.y + pu.h / 2);
+            const d = Math.hypot(dx, dy);
+            if (d < magnet && d > 1) {
+              const k = Math.min(d, MAGNET_PULL * dt) / d;
+              pu.x += dx * k;
+              pu.y += dy * k;
+            }
+          }
+          if (aabb(playerBox, { x: pu.x - camX, y: pu.y, w: pu.w, h: pu.h })) {
+            pickups.splice(i, 1);
+            grantPower(POWERUP[pu.type]);
+          } else if (pu.x + pu.w < camX - 100) {
+            pickups.splice(i, 1);
+          }
+        }
+
+        // soul orbs (the magnet pulls these too)
+        for (let i = orbs.length - 1; i >= 0; i--) {
+          const o = orbs[i];
+          if (magnet) {
+            const dx = cx - o.x, dy = cy - o.y;
+            const d = Math.hypot(dx, dy);
+            if (d < magnet && d > 1) {
+              const k = Math.min(d, MAGNET_PULL * dt) / d;
+              o.x += dx * k;
+              o.y += dy * k;
+            }
+          }
+          if (aabb(playerBox, { x: o.x - o.r - camX, y: o.y - o.r, w: o.r * 2, h: o.r * 2 })) {
+            orbs.splice(i, 1);
+            addPoints(ORB_POINTS, o.x - camX, o.y - 8);
+            hooks.particles(o.x - camX, o.y, 6, { vx: 50, vy: 50, grav: 0, color: "rgba(160,240,255,1)" });
+            hooks.sfx("orb");
+          } else if (o.x < camX - 100) {
+            orbs.splice(i, 1);
+          }
+        }
+      }
+
+      // powers run out
+      for (const id of Object.keys(player.powers)) {
+        if (now <= player.powers[id].until) continue;
+        endPower(id);
+        if (POWERUP[id].effects.sword) hooks.sfx("swordend");
+      }
+
+      // slow-time: the world (scroll + ghost) runs slower, the player doesn't
+      const slow = activeEffects().reduce((m, fx) => m * (fx.slow || 1), 1);
+
+      // ghost (or boss) + enemies
+      maybeStartBoss(tSec);
+      updateGhost(dt * slow, tSec);
+      if (!course && !bossUp()) maybeSpawnEnemies(dt * slow, phase);
+      updateEnemies(dt * slow);
+
+      // hit detect
+      const ghostBox = { x: ghost.x, y: ghost.y, w: ghost.w, h: ghost.h };
+
+      // Combo window: chain hits within 1.2s
+      if (player.combo > 0 && now > player.comboUntil) player.combo = 0;
+
+      if (player.attackUntil > now) {
+        let hit;
+        switch (player.attackDir) {
+          case "right": hit = { x: player.x + player.w, y: player.y + 4, w: 20, h: 10 }; break;
+          case "left":  hit = { x: player.x - 20, y: player.y + 4, w: 20, h: 10 }; break;
+          case "up":    hit = { x: player.x + 3, y: player.y - 20, w: 8, h: 20 }; break;
+          case "down":  hit = { x: player.x + 3, y: player.y + player.h, w: 8, h: 20 }; break;
+        }
+
+        if (hit && boss.state === "fight" && aabb(hit, ghostBox)) {
+          hurtBoss();
+        } else if (hit && boss.state === "off" && aabb(hit, ghostBox)) {
+          ghostsRepelled++;
+
+          // combo logic
+          const prevCombo = player.combo;
+          player.combo = clamp(player.combo + 1, 1, 12);
+          if (player.combo > prevCombo && player.combo % COMBO_MILESTONE === 0) hooks.sfx("combo");
+          player.comboUntil = now + 1200;
+          maxCombo = Math.max(maxCombo, player.combo);
+          addPoints(REPEL_POINTS * player.combo, ghost.x + ghost.w * 0.5, ghost.y + 8);
+          emit("repel");
+
+          // pushback scales with combo
+          const push = 150 + player.combo * 14 + (player.rainbow ? 40 : 0);
+          ghost.x -= push;
+          ghost.pushedBackUntil = now + (750 + player.combo * 30);
+          // a repel calls off any lunge and buys a breather
+          ghost.calmUntil = now + REPEL_CALM;
+          if (ghost.state === "windup" || ghost.state === "lunge") {
+            ghost.state = "calm";
+            ghost.stateTime = 0;
+            ghost.fireAt = 0;
+          }
+
+          hooks.particles(ghost.x + ghost.w * 0.5, ghost.y + ghost.h * 0.5, 18, {
+            vx: 120, vy: 140, grav: 420,
+            color: "rgba(230,240,255,1)"
+          });
+          hooks.sfx("hit");
+          hooks.shake(5, 0.12);
+          hooks.flash(0.06);
+        }
+
+        if (hit) {
+          for (const e of enemies.filter((q) => aabb(hit, q))) destroyEnemy(e);
+        }
+      }
+
+      // caught (unless a shield takes the touch)
+      const playerBox = { x: player.x, y: player.y, w: player.w, h: player.h };
+      if (aabb(playerBox, ghostBox) && boss.state !== "fall") {
+        nearMissArmed = false;
+        if (shieldBlocks()) {
+          ghost.x -= 120;
+          ghost.pushedBackUntil = now + 900;
+        } else {
+          triggerGameOver("The ghost caught you!");
+        }
+      }
+      const hazard = bossHazard();
+      if (hazard && aabb(playerBox, hazard)) {
+        if (shieldBlocks()) {
+          // blocked: the attack ends early and the boss takes its full rest
+          boss.attack.stage = "rest";
+          boss.attack.t = 0;
+        } else {
+          triggerGameOver(hazard.reason);
+        }
+      }
+      for (const e of enemies.filter((q) => aabb(playerBox, q))) {
+        if (shieldBlocks()) destroyEnemy(e);
+        else triggerGameOver(ENEMY[e.type].reason);
+      }
+
+      // near miss: the chasing ghost brushed past without touching
+      if (boss.state === "off" && ghost.state !== "spawn" && !gameOver) {
+        const gap = boxGap(playerBox, ghostBox);
+        if (gap > 0 && gap < NEAR_MISS_PX) {
+          nearMissArmed = true;
+        } else if (nearMissArmed && gap > NEAR_MISS_CLEAR) {
+          nearMissArmed = false;
+          if (now >= nearMissAt) {
+            nearMissAt = now + NEAR_MISS_COOLDOWN;
+            addPoints(NEAR_MISS_POINTS, player.x + player.w / 2, player.y - 6);
+            hooks.sfx("nearmiss");
+            emit("nearmiss");
+          }
+        }
+      }
+
+      // camera scroll
+      camX += baseScroll * slow * dt;
+    }
+
+    return {
+      player,
+      ghost,
+      ground,
+      platforms,
+      spikes,
+      pickupSlots,
+      chunkIds,
+      step,
+      seedWorld,
+      restart,
+      triggerGameOver,
+
+      // read-only view of the run state for renderers / tools
+      get now() { return now; },
+      get tSec() { return (now - startedAt) / 1000; },
+      get started() { return started; },
+      get gameOver() { return gameOver; },
+      get gameOverReason() { return gameOverReason; },
+      get best() { return best; },
+      get score() { return score(); },
+      get bestScore() { return bestScore; },
+      get difficulty() { return diff; },
+      setDifficulty(d) { nextDiff = d || NORMAL; },
+      get phase() { return phaseAt(this.tSec, diff); },
+      get seed() { return runSeed; },
+      get course() { return course; },
+      get camX() { return camX; },
+      get baseScroll() { return baseScroll; },
+      get ghostsRepelled() { return ghostsRepelled; },
+      get maxCombo() { return maxCombo; },
+      get swordsCollected() { return collected.sword || 0; },
+      enemies,
+      get enemiesDestroyed() { return enemiesDestroyed; },
+      boss,
+      get bossesDefeated() { return bossesDefeated; },
+      bossHazard,
+
+      // power-ups
+      pickups,
+      orbs,
+      hasPower,
+      powerLeft: (id) => (player.powers[id] ? Math.max(0, player.powers[id].until - now) : 0),
+      nextPickupAt: (id) => nextSpawnAt[id],
+      get slow() { return activeEffects().reduce((m, fx) => m * (fx.slow || 1), 1); },
+    };
+  }
+
+  return {
+    VERSION,
+    W,
+    H,
+    TICK_RATE,
+    TICK,
+    ACTIONS,
+    ACTION_BIT,
+    groundY,
+    SPIKE_H,
+    phaseAt,
+    maxGapFor,
+    canReachGap,
+    createGame,
+    clamp,
+    lerp,
+    hsl,
+  };
+});
@@ -0,0 +1,93 @@
+// cosmetics.js — how the player's stickman looks, as data. Purely visual: none of
+// it touches the simulation (rainbow *power* is core's 1% roll; the rainbow *look*
+// here is just a color). game.js's drawStickman reads the resolved look.
+//
+//   const { SLOTS, resolve } = GhostChase.cosmetics;
+//   const look = resolve(settings.cosmetics, (id) => achievements.has(id));
+//   // -> { color, rainbow, stroke, head, trail }  (color null = the run's rolled color)
+//
+// Every option can carry `unlock`: the id of the achievement (src/achievements.js)
+// that unlocks it. Options without one are available from the start.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).cosmetics = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const SLOTS = [
+    {
+      key: "color", label: "Color",
+      options: [
+        { id: "random", label: "Random" }, // the color the run rolls
+        { id: "white", label: "White", color: "#e8eefc" },
+        { id: "cyan", label: "Cyan", color: "#6fe3ff" },
+        { id: "gold", label: "Gold", color: "#ffd24a", unlock: "phase4" },
+        { id: "crimson", label: "Crimson", color: "#ff4d6a", unlock: "repels50" },
+        { id: "lime", label: "Lime", color: "#9dff5c", unlock: "grounded" },
+        { id: "violet", label: "Violet", color: "#b98cff", unlock: "enemies100" },
+        { id: "rainbow", label: "Rainbow", rainbow: true, unlock: "rainbow" },
+      ],
+    },
+    {
+      key: "stroke", label: "Stroke",
+      options: [
+        { id: "normal", label: "Normal", width: 2 },
+        { id: "thin", label: "Thin", width: 1.5 },
+        { id: "bold", label: "Bold", width: 2.5, unlock: "combo12" },
+        { id: "heavy", label: "Heavy", width: 3, unlock: "runs50" },
+      ],
+    },
+    {
+      key: "head", label: "Head",
+      options: [
+        { id: "round", label: "Round" },
+        { id: "square", label: "Square" },
+        { id: "ring", label: "Ring", unlock: "sword" },
+        { id: "cap", label: "Cap", unlock: "runs10" },
+        { id: "halo", label: "Halo", unlock: "boss" },
+      ],
+    },
+    {
+      key: "trail", label: "Trail",
+      options: [
+        { id: "none", label: "None" },
+        { id: "streaks", label: "Speed lines", unlock: "runs10" },
+        { id: "sparks", label: "Sparks", unlock: "combo12" },
+        { id: "aura", label: "Aura", unlock: "marathon" },
+      ],
+    },
+  ];
+
+  const DEFAULTS = {};
+  for (const s of SLOTS) DEFAULTS[s.key] = s.options[0].id;
+
+  const optionOf = (slot, id) => slot.options.find((o) => o.id === id) || slot.options[0];
+
+  // saved picks -> one known option id per slot
+  function sanitize(picks) {
+    const out = {};
+    for (const s of SLOTS) out[s.key] = optionOf(s, picks && picks[s.key]).id;
+    return out;
+  }
+
+  const isUnlocked = (option, hasAchievement) => !option.unlock || hasAchievement(option.unlock);
+
+  // picks -> what drawStickman draws; a pick that isn't unlocked falls back to the default
+  function resolve(picks, hasAchievement) {
+    const o = {};
+    for (const s of SLOTS) {
+      const opt = optionOf(s, picks && picks[s.key]);
+      o[s.key] = isUnlocked(opt, hasAchievement) ? opt : s.options[0];
+    }
+    return {
+      color: o.color.color || null,
+      rainbow: !!o.color.rainbow,
+      stroke: o.stroke.width,
+      head: o.head.id,
+      trail: o.trail.id,
+    };
+  }
+
+  return { SLOTS, DEFAULTS, sanitize, isUnlocked, resolve };
+});
@@ -0,0 +1,102 @@
+// difficulty.js — difficulty presets, and the knobs a custom difficulty can turn.
+// core.js plays whatever params object it's given; game.js picks the preset (or
+// the player's custom values) and persists the choice with the settings.
+//
+//   const { resolve } = GhostChase.difficulty;
+//   game.setDifficulty(resolve("nightmare"));          // takes effect at the next restart
+//   game.setDifficulty(resolve("custom", { ph1: 10 }));  // missing / bad values -> normal's
+//
+// The name a params object carries (easy | normal | nightmare | custom) tags
+// leaderboard entries and best times, so runs on different settings never mix.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).difficulty = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const NAMES = ["easy", "normal", "nightmare", "custom"];
+  const LABELS = { easy: "Easy", normal: "Normal", nightmare: "Nightmare", custom: "Custom" };
+
+  // What a custom difficulty exposes, with the range and step its menu allows
+  //   ghost speed vs scroll: chaseStart -> chaseEnd over chaseRamp s
+  //   scroll (px/s):         scrollBase + scrollPerSec * t + scrollPerRepel * repels
+  //   lunge wind-up (s):     windupStart in phase 1 -> windupEnd in phase 4
+  const PARAMS = [
+    { key: "chaseStart", label: "Ghost speed at start", min: 0.5, max: 1.2, step: 0.02 },
+    { key: "chaseEnd", label: "Ghost speed at full", min: 0.9, max: 2.0, step: 0.05 },
+    { key: "chaseRamp", label: "Ghost ramp (s)", min: 30, max: 180, step: 10 },
+    { key: "scrollBase", label: "Scroll at start", min: 60, max: 140, step: 5 },
+    { key: "scrollPerSec", label: "Scroll gain per s", min: 0.5, max: 4, step: 0.1 },
+    { key: "scrollPerRepel", label: "Scroll gain per repel", min: 0, max: 2, step: 0.1 },
+    { key: "ph1", label: "Phase 2 at (s)", min: 5, max: 60, step: 1 },
+    { key: "ph2", label: "Phase 3 at (s)", min: 10, max: 120, step: 1 },
+    { key: "ph3", label: "Phase 4 at (s)", min: 20, max: 240, step: 5 },
+    { key: "groundGapChance", label: "Ground gap chance", min: 0, max: 0.35, step: 0.01 },
+    { key: "swordEvery", label: "Sword every (s)", min: 8, max: 40, step: 1 },
+    { key: "swordDuration", label: "Sword lasts (ms)", min: 3000, max: 15000, step: 500 },
+    { key: "swordRainbowDuration", label: "Rainbow sword (ms)", min: 3000, max: 20000, step: 500 },
+    { key: "windupStart", label: "Lunge warning (s)", min: 0.2, max: 1.5, step: 0.05 },
+    { key: "windupEnd", label: "Lunge warning late (s)", min: 0.2, max: 1.5, step: 0.05 },
+  ];
+
+  const PRESETS = {
+    easy: {
+      chaseStart: 0.7, chaseEnd: 1.25, chaseRamp: 120,
+      scrollBase: 80, scrollPerSec: 1.5, scrollPerRepel: 0.6,
+      ph1: 25, ph2: 60, ph3: 120,
+      groundGapChance: 0.1,
+      swordEvery: 15, swordDuration: 8000, swordRainbowDuration: 11000,
+      windupStart: 0.85, windupEnd: 0.6,
+    },
+    normal: {
+      chaseStart: 0.78, chaseEnd: 1.45, chaseRamp: 90,
+      scrollBase: 90, scrollPerSec: 2.0, scrollPerRepel: 0.8,
+      ph1: 18, ph2: 45, ph3: 90,
+      groundGapChance: 0.14,
+      swordEvery: 20, swordDuration: 6500, swordRainbowDuration: 9500,
+      windupStart: 0.7, windupEnd: 0.45,
+    },
+    nightmare: {
+      chaseStart: 0.9, chaseEnd: 1.65, chaseRamp: 70,
+      scrollBase: 110, scrollPerSec: 2.6, scrollPerRepel: 1.0,
+      ph1: 12, ph2: 32, ph3: 65,
+      groundGapChance: 0.2,
+      swordEvery: 26, swordDuration: 5000, swordRainbowDuration: 7500,
+      windupStart: 0.55, windupEnd: 0.35,
+    },
+  };
+
+  const snap = (v, p) => Math.round(v / p.step) * p.step;
+
+  // custom values -> a complete, in-range set (anything missing or bad = normal's)
+  function sanitize(values) {
+    const out = {};
+    for (const p of PARAMS) {
+      const v = values && values[p.key];
+      const n = typeof v === "number" && Number.isFinite(v) ? v : PRESETS.normal[p.key];
+      // keep the step's decimals exact (0.1 * 3 is not 0.3)
+      out[p.key] = Number(Math.min(p.max, Math.max(p.min, snap(n, p))).toFixed(4));
+    }
+    // phases must come in order
+    out.ph2 = Math.max(out.ph2, out.ph1 + 1);
+    out.ph3 = Math.max(out.ph3, out.ph2 + 1);
+    return out;
+  }
+
+  // -> params for core: the preset (or sanitized custom values) plus its name
+  function resolve(name, custom) {
+    if (name === "custom") return Object.assign({ name }, sanitize(custom));
+    if (!PRESETS[name]) name = "normal";
+    return Object.assign({ name }, PRESETS[name]);
+  }
+
+  // Identifies the course a params object generates (custom values included),
+  // for data that's only valid on the same course, such as shadow runs
+  function courseKey(params) {
+    if (params.name !== "custom") return params.name;
+    return "custom:" + PARAMS.map((p) => params[p.key]).join(",");
+  }
+
+  return { NAMES, LABELS, PARAMS, PRESETS, sanitize, resolve, courseKey };
+});
@@ -0,0 +1,496 @@
+// editor.js — chunk editor (index.html?editor). Place and resize ground,
+// platforms, spikes and sword slots on an 8px grid, scroll along the chunk,
+// test-play it, import / export it as chunk JSON (see src/chunks.js).
+// DOM-free: the shell forwards pointer events, draws the course underneath and
+// does the file / prompt plumbing through the callbacks.
+//
+//   const editor = GhostChase.editor.createEditor({ storage, onTest, onExport, onImport, ask });
+//   editor.update(input, dt);          // keys: tools, scrolling, delete, undo, ...
+//   editor.down(p); editor.move(p); editor.up(p);  // pointer, canvas coords
+//   editor.draw(ctx);                  // grid, selection, toolbar (after the course)
+//   editor.doc;                        // the chunk JSON being edited
+//
+// The working copy is kept in storage (gc_editor), so a reload doesn't lose it.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./chunks.js"), require("./ui.js"), require("./core.js"));
+  } else {
+    (root.GhostChase = root.GhostChase || {}).editor = factory(root.GhostChase.chunks, root.GhostChase.ui, root.GhostChase.core);
+  }
+})(typeof self !== "undefined" ? self : this, function (chunks, ui, core) {
+  "use strict";
+
+  const EDITOR_KEY = "gc_editor";
+  const EDITOR_VERSION = 1;
+  const { W, H, groundY, SPIKE_H } = core;
+
+  const GRID = 8;
+  const EDGE = 3;             // px either side of an end that grabs it for resizing
+  const SCROLL_SPEED = 240;   // px/s while ←/→ is held
+  const UNDO_DEPTH = 50;
+  const TOOLBAR_H = 12;
+  const PLATFORM_H = 10;
+  const Y_MIN = 40, Y_MAX = 124; // platform tops chunks.js accepts
+
+  const TOOLS = ["select", "ground", "platform", "spikes", "sword"];
+  const TOOL_LABELS = { select: "Sel", ground: "Gnd", platform: "Plat", spikes: "Spk", sword: "Swd" };
+  // 0 = the normal intro ramp; others hold the scroll at that speed (px/s)
+  const TEST_SPEEDS = [0, 150, 220, 300];
+  const KIND_CYCLE = [
+    { kind: "solid" },
+    { kind: "crumble" },
+    { kind: "move", axis: "x" },
+    { kind: "move", axis: "y" },
+  ];
+  const TAG_SETS = [["easy"], ["easy", "medium"], ["medium"], ["medium", "hard"], ["hard"]];
+
+  const HELP = [
+    "1-5 tool   drag: place / move   drag an end: resize",
+    "drag empty space or ←/→ / wheel: scroll",
+    "Del: delete   Z: undo   K: platform kind",
+    "[ ]: mover range   , .: mover period",
+    "T: test from the ▶ marker   S: test speed",
+    "G: difficulty tags   N: rename   E / I: export / import",
+    "drag the orange line: chunk width   H: close help",
+  ];
+
+  const snap = (v) => Math.round(v / GRID) * GRID;
+  const clone = (o) => JSON.parse(JSON.stringify(o));
+
+  function blankChunk() {
+    return {
+      format: chunks.CHUNK_FORMAT,
+      id: "new-chunk",
+      tags: ["medium"],
+      w: 640,
+      ground: [{ x: 0, w: 640 }],
+      platforms: [{ x: 40, y: 112, w: 64 }, { x: 536, y: 112, w: 64 }],
+      spikes: [],
+      pickups: [],
+    };
+  }
+
+  // world-space box of an item, for hit tests and the selection outline
+  function boxOf(list, o) {
+    switch (list) {
+      case "ground": return { x: o.x, y: groundY, w: o.w, h: 40 };
+      case "platforms": return { x: o.x, y: o.y, w: o.w, h: PLATFORM_H };
+      case "spikes": return { x: o.x, y: groundY - SPIKE_H - 4, w: o.w, h: SPIKE_H + 4 };
+      default: return { x: o.x - 5, y: o.y - 12, w: 10, h: 12 };
+    }
+  }
+
+  const inBox = (b, x, y) => x >= b.x - EDGE && x <= b.x + b.w + EDGE && y >= b.y && y <= b.y + b.h;
+
+  function createEditor({ storage = null, initial = null, onTest = () => {}, onExport = () => {}, onImport = () => {}, ask = () => null } = {}) {
+    let doc = null;
+    let camX = -24;
+    let tool = "select";
+    let sel = null;        // { list: "ground" | "platforms" | "spikes" | "pickups", i }
+    let drag = null;
+    let speed = 0;         // index into TEST_SPEEDS
+    let error = null;      // why the chunk doesn't parse, if it doesn't
+    let message = "";
+    let messageUntil = 0;
+    let clock = 0;
+    let help = false;
+    const undo = [];
+
+    function loadDraft() {
+      if (!storage) return null;
+      try {
+        const saved = JSON.parse(storage.getItem(EDITOR_KEY) || "null");
+        if (saved && saved.v === EDITOR_VERSION && saved.doc) return saved.doc;
+      } catch (e) {
+        console.warn("Bad editor draft, ignoring:", e);
+      }
+      return null;
+    }
+
+    function saveDraft() {
+      if (!storage) return;
+      try {
+        storage.setItem(EDITOR_KEY, JSON.stringify({ v: EDITOR_VERSION, doc }));
+      } catch (e) {
+        console.warn("Editor draft save failed:", e);
+      }
+    }
+
+    function say(msg, secs = 3) {
+      message = msg;
+      messageUntil = clock + secs;
+    }
+
+    function validate() {
+      try {
+        chunks.parseChunk(doc);
+        error = null;
+      } catch (e) {
+        error = e.message;
+      }
+    }
+
+    // every edit goes through here: snapshot for undo first
+    function checkpoint() {
+      undo.push(JSON.stringify(doc));
+      if (undo.length > UNDO_DEPTH) undo.shift();
+    }
+
+    function changed() {
+      validate();
+      saveDraft();
+    }
+
+    function setDoc(d) {
+      doc = Object.assign(blankChunk(), clone(d));
+      for (const k of ["ground", "platforms", "spikes", "pickups"]) if (!Array.isArray(doc[k])) doc[k] = [];
+      sel = null;
+      drag = null;
+      changed();
+    }
+
+    setDoc(initial ? chunks.toJSON(initial) : loadDraft() || blankChunk());
+
+    const selected = () => (sel ? doc[sel.list][sel.i] || null : null);
+
+    // ---- toolbar ----
+    const BUTTONS = [
+      ...TOOLS.map((t) => ({ label: TOOL_LABELS[t], on: () => tool === t, run: () => pickTool(t) })),
+      { label: "▶Test", run: test },
+      { label: () => (TEST_SPEEDS[speed] ? `${TEST_SPEEDS[speed]}px/s` : "ramp"), run: cycleSpeed },
+      { label: "New", run: () => { checkpoint(); setDoc(blankChunk()); say("New chunk"); } },
+      { label: "Imp", run: () => onImport() },
+      { label: "Exp", run: exportDoc },
+      { label: "?", on: () => help, run: () => { help = !help; } },
+    ];
+    const labelOf = (b) => (typeof b.label === "function" ? b.label() : b.label);
+
+    function buttonRects() {
+      let x = 2;
+      return BUTTONS.map((b) => {
+        const w = labelOf(b).length * 5 + 6;
+        const r = { b, x, y: 1, w, h: TOOLBAR_H - 2 };
+        x += w + 2;
+        return r;
+      });
+    }
+
+    function pickTool(t) {
+      tool = t;
+      if (t !== "select") sel = null;
+    }
+
+    function cycleSpeed() {
+      speed = (speed + 1) % TEST_SPEEDS.length;
+    }
+
+    // the test run starts where the player stands on screen (x=70)
+    const testStartX = () => Math.round(camX + 70);
+
+    function test() {
+      let parsed;
+      try {
+        parsed = chunks.parseChunk(doc);
+      } catch (e) {
+        say(`Can't test: ${e.message}`, 4);
+        return;
+      }
+      onTest(parsed, testStartX(), TEST_SPEEDS[speed]);
+    }
+
+    function exportDoc() {
+      if (error) {
+        say(`Fix before export: ${error}`, 4);
+        return;
+      }
+      onExport(chunks.toJSON(chunks.parseChunk(doc)));
+    }
+
+    function load(data) {
+      let parsed;
+      try {
+        parsed = chunks.parseChunk(data);
+      } catch (e) {
+        say(`Import failed: ${e.message}`, 4);
+        return false;
+      }
+      checkpoint();
+      setDoc(chunks.toJSON(parsed));
+      camX = -24;
+      say(`Loaded ${doc.id}`);
+      return true;
+    }
+
+    function testOver(result) {
+      if (result.cleared) say(`Cleared in ${result.time.toFixed(2)}s`, 4);
+      else say(`${result.reason} (x=${result.x})`, 4);
+    }
+
+    // ---- edits ----
+    function removeSelected() {
+      if (!selected()) return;
+      checkpoint();
+      doc[sel.list].splice(sel.i, 1);
+      sel = null;
+      changed();
+    }
+
+    function cycleKind() {
+      const p = sel && sel.list === "platforms" ? selected() : null;
+      if (!p) return;
+      checkpoint();
+      const cur = KIND_CYCLE.findIndex((k) => k.kind === (p.kind || "solid") && (!k.axis || k.axis === p.axis));
+      const next = KIND_CYCLE[(cur + 1) % KIND_CYCLE.length];
+      delete p.kind; delete p.axis; delete p.amp; delete p.period; delete p.offset;
+      if (next.kind !== "solid") p.kind = next.kind;
+      if (next.kind === "move") Object.assign(p, { axis: next.axis, amp: 32, period: 2.4, offset: 0 });
+      changed();
+      say(`Platform: ${next.kind}${next.axis ? ` (${next.axis})` : ""}`);
+    }
+
+    function tweakMover(field, d, min, max) {
+      const p = sel && sel.list === "platforms" ? selected() : null;
+      if (!p || p.kind !== "move") return;
+      checkpoint();
+      p[field] = Math.round(Math.max(min, Math.min(max, p[field] + d)) * 10) / 10;
+      changed();
+      say(`Range ${p.amp}px  period ${p.period}s`);
+    }
+
+    function cycleTags() {
+      checkpoint();
+      const cur = TAG_SETS.findIndex((t) => t.join() === doc.tags.join());
+      doc.tags = TAG_SETS[(cur + 1) % TAG_SETS.length].slice();
+      changed();
+    }
+
+    function rename() {
+      const id = ask("Chunk id", doc.id);
+      if (!id || !id.trim()) return;
+      checkpoint();
+      doc.id = id.trim().replace(/\s+/g, "-");
+      changed();
+    }
+
+    function undoLast() {
+      if (!undo.length) return;
+      doc = JSON.parse(undo.pop());
+      sel = null;
+      changed();
+      say("Undone");
+    }
+
+    // ---- pointer ----
+    function hitTest(x, y) {
+      for (const list of ["pickups", "platforms", "spikes", "ground"]) {
+        for (let i = doc[list].length - 1; i >= 0; i--) {
+          if (inBox(boxOf(list, doc[list][i]), x, y)) return { list, i };
+        }
+      }
+      return null;
+    }
+
+    function down(p) {
+      if (drag) up(); // a release off the canvas never arrived
+      if (p.y < TOOLBAR_H) {
+        const r = buttonRects().find((r) => p.x >= r.x && p.x < r.x + r.w);
+        if (r) r.b.run();
+        return;
+      }
+      if (help) {
+        help = false;
+        return;
+      }
+      const x = p.x + camX, y = p.y;
+
+      // grabbing something takes no undo step until the drag changes it (move())
+      if (Math.abs(x - doc.w) <= EDGE && y > TOOLBAR_H && y < groundY) {
+        drag = { mode: "chunkW" };
+        return;
+      }
+
+      const hit = tool === "select" ? hitTest(x, y) : null;
+      if (hit) {
+        sel = hit;
+        const o = selected();
+        const b = boxOf(hit.list, o);
+        const mode = hit.list === "pickups" ? "move"
+          : Math.abs(x - b.x) <= EDGE ? "left"
+          : Math.abs(x - (b.x + b.w)) <= EDGE ? "right" : "move";
+        drag = { mode, ox: x - o.x, oy: y - (o.y || 0), right: o.x + o.w };
+        return;
+      }
+
+      if (tool === "select") {
+        sel = null;
+        drag = { mode: "pan", px: p.x, cam: camX };
+        return;
+      }
+
+      // placing: the new item follows the pointer until release
+      checkpoint();
+      const sx = snap(x);
+      let list, o;
+      if (tool === "ground") { list = "ground"; o = { x: sx, w: GRID }; }
+      else if (tool === "platform") { list = "platforms"; o = { x: sx, y: Math.max(Y_MIN, Math.min(Y_MAX, snap(y))), w: GRID }; }
+      else if (tool === "spikes") { list = "spikes"; o = { x: sx, w: GRID }; }
+      else { list = "pickups"; o = { x: sx, y: snap(y) }; }
+      doc[list].push(o);
+      sel = { list, i: doc[list].length - 1 };
+      drag = list === "pickups" ? { mode: "move", ox: 0, oy: 0, moved: true } : { mode: "right", moved: true };
+      changed();
+    }
+
+    function move(p) {
+      if (!drag) return;
+      const x = p.x + camX, y = p.y;
+      if (drag.mode === "pan") {
+        camX = drag.cam - (p.x - drag.px);
+        return;
+      }
+      const o = drag.mode === "chunkW" ? doc : selected();
+      if (!o) return;
+      const next = {};
+      if (drag.mode === "chunkW") {
+        next.w = Math.max(GRID * 8, snap(x));
+      } else if (drag.mode === "move") {
+        next.x = snap(x - drag.ox);
+        if (sel.list === "platforms") next.y = Math.max(Y_MIN, Math.min(Y_MAX, snap(y - drag.oy)));
+        if (sel.list === "pickups") next.y = Math.max(TOOLBAR_H + 12, Math.min(groundY, snap(y - drag.oy)));
+      } else if (drag.mode === "left") {
+        next.x = Math.min(snap(x), drag.right - GRID);
+        next.w = drag.right - next.x;
+      } else if (drag.mode === "right") {
+        next.w = Math.max(GRID, snap(x) - o.x);
+      }
+      if (Object.keys(next).every((k) => o[k] === next[k])) return;
+      // the drag's first real change is its undo step
+      if (!drag.moved) checkpoint();
+      Object.assign(o, next);
+      // only redraw while dragging; the draft is saved once, on release
+      drag.moved = true;
+      validate();
+    }
+
+    function up() {
+      if (drag && drag.moved) saveDraft();
+      drag = null;
+    }
+
+    // ---- keys ----
+    function update(input, dt) {
+      clock += dt;
+      if (input.isDown("left")) camX -= SCROLL_SPEED * dt;
+      if (input.isDown("right")) camX += SCROLL_SPEED * dt;
+
+      TOOLS.forEach((t, i) => { if (input.keyPressed(String(i + 1))) pickTool(t); });
+      if (input.keyPressed("delete") || input.keyPressed("backspace")) removeSelected();
+      if (input.keyPressed("z")) undoLast();
+      if (input.keyPressed("k")) cycleKind();
+      if (input.keyPressed("[")) tweakMover("amp", -GRID / 2, GRID / 2, 96);
+      if (input.keyPressed("]")) tweakMover("amp", GRID / 2, GRID / 2, 96);
+      if (input.keyPressed(",")) tweakMover("period", -0.2, 0.8, 6);
+      if (input.keyPressed(".")) tweakMover("period", 0.2, 0.8, 6);
+      if (input.keyPressed("t")) test();
+      if (input.keyPressed("s")) cycleSpeed();
+      if (input.keyPressed("g")) cycleTags();
+      if (input.keyPressed("n")) rename();
+      if (input.keyPressed("e")) exportDoc();
+      if (input.keyPressed("i")) onImport();
+      if (input.keyPressed("h")) help = !help;
+      if (input.keyPressed("escape")) {
+        if (help) help = false;
+        else sel = null;
+      }
+    }
+
+    // ---- drawing ----
+    function draw(ctx) {
+      const x0 = -Math.floor(camX);
+
+      // grid: 8px cells, stronger every 64px
+      for (let gx = ((x0 % GRID) + GRID) % GRID; gx < W; gx += GRID) {
+        const major = Math.round(gx - x0) % 64 === 0;
+        ctx.fillStyle = major ? "rgba(167,180,221,0.16)" : "rgba(167,180,221,0.06)";
+        ctx.fillRect(gx, TOOLBAR_H, 1, H - TOOLBAR_H);
+      }
+      for (let gy = 16; gy < H; gy += GRID) {
+        ctx.fillStyle = gy % 64 === 0 ? "rgba(167,180,221,0.16)" : "rgba(167,180,221,0.06)";
+        ctx.fillRect(0, gy, W, 1);
+      }
+
+      // chunk bounds: start (muted) and the draggable end (accent)
+      ctx.fillStyle = ui.COLORS.edge;
+      ctx.fillRect(x0, TOOLBAR_H, 1, H - TOOLBAR_H);
+      ctx.fillStyle = "rgba(255,170,90,0.8)";
+      ctx.fillRect(x0 + doc.w, TOOLBAR_H, 1, H - TOOLBAR_H);
+      ctx.fillRect(x0 + doc.w - 2, groundY - 24, 5, 10);
+
+      // where a test run starts
+      ui.text(ctx, "▶", 70 - 3, groundY - 12, { color: ui.COLORS.accent });
+
+      const o = selected();
+      if (o) {
+        const b = boxOf(sel.list, o);
+        ctx.strokeStyle = ui.COLORS.accent;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(Math.floor(b.x - camX) - 0.5, b.y - 0.5, b.w + 1, Math.min(b.h, 24) + 1);
+        if (sel.list !== "pickups") {
+          ctx.fillStyle = ui.COLORS.accent;
+          ctx.fillRect(Math.floor(b.x - camX) - 1, b.y + 1, 2, 4);
+          ctx.fillRect(Math.floor(b.x + b.w - camX) - 1, b.y + 1, 2, 4);
+        }
+      }
+
+      // toolbar
+      ctx.fillStyle = ui.COLORS.panel;
+      ctx.fillRect(0, 0, W, TOOLBAR_H);
+      for (const r of buttonRects()) {
+        const on = r.b.on && r.b.on();
+        ctx.fillStyle = on ? "rgba(255,224,138,0.25)" : "rgba(232,238,252,0.08)";
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        ui.text(ctx, labelOf(r.b), r.x + r.w / 2, r.y + 1, { color: on ? ui.COLORS.accent : ui.COLORS.text, align: "center" });
+      }
+
+      // status line
+      ctx.fillStyle = ui.COLORS.panel;
+      ctx.fillRect(0, H - 11, W, 11);
+      let status;
+      let color = ui.COLORS.muted;
+      if (clock < messageUntil) {
+        status = message;
+        color = ui.COLORS.accent;
+      } else if (error) {
+        status = error;
+        color = ui.COLORS.bad;
+      } else {
+        const p = o && sel.list === "platforms" && o.kind ? ` ${o.kind}${o.axis ? " " + o.axis : ""}` : "";
+        status = `${doc.id} [${doc.tags.join(",")}] w=${doc.w} x=${testStartX()}${p}  H: help`;
+      }
+      ui.text(ctx, status.length > 62 ? status.slice(0, 61) + "…" : status, 3, H - 10, { color });
+
+      if (help) {
+        ui.panel(ctx, 16, 24, W - 32, HELP.length * 10 + 12);
+        HELP.forEach((line, i) => ui.text(ctx, line, 24, 30 + i * 10));
+      }
+    }
+
+    return {
+      update,
+      down,
+      move,
+      up,
+      draw,
+      load,
+      testOver,
+      say,
+      scroll(d) { camX += d; },
+      get doc() { return doc; },
+      get camX() { return camX; },
+      get error() { return error; },
+    };
+  }
+
+  return { EDITOR_KEY, GRID, TOOLS, createEditor, blankChunk };
+});
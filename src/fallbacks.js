@@ -0,0 +1,167 @@
+// fallbacks.js — procedural stand-ins for sheets that fail to load, drawn once at
+// startup into a canvas the size and layout the manifest (src/sprites.js) expects,
+// so the renderer can't tell them from the real image. No DOM: the canvas factory
+// is injected.
+//
+//   const img = GhostChase.fallbacks.makeFallback("ghost", sprites.sheets.ghost,
+//     (w, h) => Object.assign(document.createElement("canvas"), { width: w, height: h }));
+//   // -> canvas, or null for sheets without a generator (the sword draws its shape)
+//
+// Everything random comes from a fixed seed: the stand-ins look the same every time.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./rng.js"));
+  else (root.GhostChase = root.GhostChase || {}).fallbacks = factory(root.GhostChase.rng);
+})(typeof self !== "undefined" ? self : this, function (rngLib) {
+  "use strict";
+
+  const ART_SEED = 0x9e37;
+  const LAYER_W = 640; // parallax layers: 2 screens wide, full height
+  const LAYER_H = 180;
+
+  // 12x14 pixel ghost: # body, o eye. Two hem rows under it wave per frame.
+  const GHOST_PIXELS = [
+    "....####....",
+    "..########..",
+    ".##########.",
+    ".##########.",
+    "############",
+    "###oo##oo###",
+    "###oo##oo###",
+    "############",
+    "############",
+    "############",
+    "############",
+    "############",
+    "############",
+    "############",
+  ];
+  const GHOST_BODY = "#d2dcff";
+  const GHOST_HEM = "#b9c5ff";
+  const GHOST_EYE = "#3d4358";
+
+  function frameCount(sheet) {
+    let n = 1;
+    for (const a of Object.values(sheet.animations)) n = Math.max(n, ...a.frames.map((f) => f + 1));
+    return n;
+  }
+
+  function ghost(sheet, makeCanvas) {
+    const { w: fw, h: fh } = sheet.frame;
+    const frames = frameCount(sheet);
+    const cols = GHOST_PIXELS[0].length;
+    const rows = GHOST_PIXELS.length + 2;
+    const px = Math.max(1, Math.floor(Math.min(fw / cols, fh / rows)));
+    const canvas = makeCanvas(fw * frames, fh);
+    const ctx = canvas.getContext("2d");
+
+    for (let f = 0; f < frames; f++) {
+      const ox = f * fw + Math.floor((fw - cols * px) / 2);
+      const oy = Math.floor((fh - rows * px) / 2);
+      GHOST_PIXELS.forEach((line, y) => {
+        for (let x = 0; x < cols; x++) {
+          const c = line[x];
+          if (c === ".") continue;
+          ctx.fillStyle = c === "o" ? GHOST_EYE : GHOST_BODY;
+          ctx.fillRect(ox + x * px, oy + y * px, px, px);
+        }
+      });
+      // hem: a full row, then every other pair of pixels, shifted along each frame
+      ctx.fillStyle = GHOST_HEM;
+      const hemY = oy + GHOST_PIXELS.length * px;
+      ctx.fillRect(ox, hemY, cols * px, px);
+      for (let x = 0; x < cols; x++) {
+        if ((x + f) % 4 < 2) ctx.fillRect(ox + x * px, hemY + px, px, px);
+      }
+    }
+    return canvas;
+  }
+
+  // every cell the manifest's tile variants use, drawn as that variant
+  function tiles(sheet, makeCanvas) {
+    const { w: tw, h: th } = sheet.frame;
+    const all = Object.values(sheet.tiles).flat();
+    const canvas = makeCanvas(tw * (Math.max(...all.map((c) => c.col)) + 1), th * (Math.max(...all.map((c) => c.row)) + 1));
+    const ctx = canvas.getContext("2d");
+
+    for (const c of sheet.tiles.under) {
+      const x = c.col * tw, y = c.row * th;
+      ctx.fillStyle = "#1a1d2e";
+      ctx.fillRect(x, y, tw, th);
+      ctx.fillStyle = "#23273d";
+      ctx.fillRect(x + 1, y + 2, 1, 1);
+      ctx.fillRect(x + Math.floor(tw / 2) + 1, y + Math.floor(th / 2) + 2, 1, 1);
+    }
+    for (const variant of ["middle", "left", "right"]) {
+      for (const c of sheet.tiles[variant]) {
+        const x = c.col * tw, y = c.row * th;
+        ctx.fillStyle = "#2a2f4a";
+        ctx.fillRect(x, y, tw, th);
+        ctx.fillStyle = "#3f4469";
+        ctx.fillRect(x, y, tw, 2);
+        // caps: a darker outer edge
+        ctx.fillStyle = "#1a1d2e";
+        if (variant === "left") ctx.fillRect(x, y, 1, th);
+        if (variant === "right") ctx.fillRect(x + tw - 1, y, 1, th);
+      }
+    }
+    return canvas;
+  }
+
+  // sky + stars, opaque like the far layer it replaces
+  function stars(sheet, makeCanvas) {
+    const rand = rngLib.makeRng(ART_SEED);
+    const canvas = makeCanvas(LAYER_W, LAYER_H);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#070a14";
+    ctx.fillRect(0, 0, LAYER_W, LAYER_H);
+    for (let i = 0; i < 110; i++) {
+      const x = Math.floor(rand() * LAYER_W);
+      const y = Math.floor(rand() * LAYER_H * 0.6);
+      const big = rand() < 0.08;
+      ctx.fillStyle = `rgba(220,230,255,${(0.25 + rand() * 0.6).toFixed(2)})`;
+      ctx.fillRect(x, y, big ? 2 : 1, big ? 2 : 1);
+    }
+    return canvas;
+  }
+
+  // Rolling hills: a sum of sines with whole periods across the layer, so it tiles
+  function hills({ base, amp, waves, color, seed }) {
+    return (sheet, makeCanvas) => {
+      const rand = rngLib.makeRng(ART_SEED ^ seed);
+      const parts = [];
+      for (let i = 0; i < waves; i++) {
+        parts.push({ k: 1 + Math.floor(rand() * (2 + i * 3)), a: amp / (i + 1), phase: rand() * Math.PI * 2 });
+      }
+      const canvas = makeCanvas(LAYER_W, LAYER_H);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = color;
+      for (let x = 0; x < LAYER_W; x++) {
+        let top = base;
+        for (const p of parts) top -= p.a * Math.sin((x / LAYER_W) * p.k * Math.PI * 2 + p.phase);
+        top = Math.round(top);
+        ctx.fillRect(x, top, 1, LAYER_H - top);
+      }
+      return canvas;
+    };
+  }
+
+  const GENERATORS = {
+    ghost,
+    tiles,
+    bg_far: stars,
+    bg_mid: hills({ base: 104, amp: 10, waves: 3, color: "rgba(46,62,140,0.55)", seed: 1 }),
+    bg_near: hills({ base: 124, amp: 9, waves: 4, color: "rgba(22,28,62,0.92)", seed: 2 }),
+  };
+
+  // -> a canvas standing in for the sheet, or null if there's no generator for it
+  function makeFallback(name, sheet, makeCanvas) {
+    const gen = GENERATORS[name];
+    if (!gen) return null;
+    if ((name === "ghost" || name === "tiles") && !sheet.frame) return null;
+    if (name === "tiles" && !sheet.tiles) return null;
+    return gen(sheet, makeCanvas);
+  }
+
+  return { GENERATORS, makeFallback };
+});
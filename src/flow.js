@@ -0,0 +1,56 @@
+// flow.js — the shell's game-flow state machine (boot, title, playing, paused, ...).
+// A state is a plain object; every hook is optional:
+//
+//   {
+//     enter(arg, from)  // arg is whatever was passed to go()
+//     exit(to)
+//     update(realDt)    // once per frame, before the sim ticks: read input here
+//     draw()            // after the world is drawn: the state's own screen
+//     tap(p)            // pointer down, canvas coords
+//     move(p), up(p)    // pointer drag / release, canvas coords
+//     timeScale()       // sim ticks per real tick (0 / missing = frozen)
+//     hud               // true = show the DOM HUD in this state
+//     world             // false = draw() paints the whole screen (no game world under it)
+//   }
+//
+//   const flow = GhostChase.flow.createFlow(states, { onChange });
+//   flow.go("title");
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).flow = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function createFlow(states, { onChange = () => {} } = {}) {
+    let name = null;
+    let cur = null;
+
+    function go(next, arg) {
+      const st = states[next];
+      if (!st) throw new Error(`Unknown game state: ${next}`);
+      const from = name;
+      if (cur && cur.exit) cur.exit(next);
+      name = next;
+      cur = st;
+      if (st.enter) st.enter(arg, from);
+      onChange(next, from);
+    }
+
+    return {
+      go,
+      get state() { return name; },
+      is: (...names) => names.includes(name),
+      update(dt) { if (cur && cur.update) cur.update(dt); },
+      draw() { if (cur && cur.draw) cur.draw(); },
+      tap(p) { if (cur && cur.tap) cur.tap(p); },
+      move(p) { if (cur && cur.move) cur.move(p); },
+      up(p) { if (cur && cur.up) cur.up(p); },
+      timeScale: () => (cur && cur.timeScale ? cur.timeScale() : 0),
+      get hud() { return !!(cur && cur.hud); },
+      get world() { return !cur || cur.world !== false; },
+    };
+  }
+
+  return { createFlow };
+});
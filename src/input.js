@@ -0,0 +1,281 @@
+// input.js — keyboard + gamepad → named actions, with remappable, persisted bindings.
+// Browser-side (reads key events and navigator.getGamepads), but everything it
+// touches is injected so it stays easy to reason about:
+//
+//   const input = GhostChase.input.createInput({ target: window, storage, getGamepads });
+//   input.poll();                    // once per frame, before ticks (reads the gamepad)
+//   input.isDown("jump");            // held this frame
+//   input.wasPressed("jump");        // pressed since the last clearPressed()
+//   input.uiPressed("confirm");      // fixed menu navigation (not rebindable)
+//   input.setHeld("jump", true);     // on-screen controls (touch) hold an action
+//
+// Gamepads use the standard mapping. The left stick always drives left/right
+// (outside STICK_DEADZONE) on top of whatever buttons are bound.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).input = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const ACTIONS = ["jump", "attack", "sprint", "left", "right", "restart", "pause"];
+
+  const ACTION_LABELS = {
+    jump: "Jump",
+    attack: "Attack",
+    sprint: "Sprint",
+    left: "Left",
+    right: "Right",
+    restart: "Restart",
+    pause: "Pause",
+  };
+
+  // keys are KeyboardEvent.key lowercased; buttons are standard-mapping indices
+  const DEFAULT_BINDINGS = {
+    keys: {
+      jump: [" ", "arrowup"],
+      attack: ["x"],
+      sprint: ["shift"],
+      left: ["arrowleft", "a"],
+      right: ["arrowright", "d"],
+      restart: ["r"],
+      pause: ["p"],
+    },
+    buttons: {
+      jump: [0],
+      attack: [2],
+      sprint: [5, 7],
+      left: [14],
+      right: [15],
+      restart: [8],
+      pause: [9],
+    },
+  };
+
+  // Menu navigation is fixed so a bad rebind can never lock you out of the menus
+  const UI_KEYS = {
+    up: ["arrowup", "w"],
+    down: ["arrowdown", "s"],
+    left: ["arrowleft", "a"],
+    right: ["arrowright", "d"],
+    confirm: ["enter", " "],
+    back: ["escape", "backspace"],
+  };
+  const UI_BUTTONS = { up: [12], down: [13], left: [14], right: [15], confirm: [0], back: [1] };
+
+  const STICK_DEADZONE = 0.35;
+  const BINDINGS_KEY = "gc_bindings";
+  const BINDINGS_VERSION = 1;
+
+  const KEY_NAMES = {
+    " ": "Space",
+    arrowup: "↑",
+    arrowdown: "↓",
+    arrowleft: "←",
+    arrowright: "→",
+    escape: "Esc",
+    enter: "Enter",
+    shift: "Shift",
+    control: "Ctrl",
+    alt: "Alt",
+    backspace: "Bksp",
+    tab: "Tab",
+  };
+  const BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "LS", "RS", "D↑", "D↓", "D←", "D→", "Home"];
+
+  function keyName(k) {
+    return KEY_NAMES[k] || (k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1));
+  }
+  function buttonName(b) {
+    return BUTTON_NAMES[b] || `B${b}`;
+  }
+
+  function copyBindings(b) {
+    const out = { keys: {}, buttons: {} };
+    for (const a of ACTIONS) {
+      out.keys[a] = (b.keys[a] || []).slice();
+      out.buttons[a] = (b.buttons[a] || []).slice();
+    }
+    return out;
+  }
+
+  // Saved bindings are merged over the defaults, so actions added later still get keys
+  function loadBindings(storage) {
+    const b = copyBindings(DEFAULT_BINDINGS);
+    if (!storage) return b;
+    try {
+      const saved = JSON.parse(storage.getItem(BINDINGS_KEY) || "null");
+      if (!saved || saved.v !== BINDINGS_VERSION) return b;
+      for (const a of ACTIONS) {
+        if (Array.isArray(saved.keys && saved.keys[a])) b.keys[a] = saved.keys[a].filter((k) => typeof k === "string");
+        if (Array.isArray(saved.buttons && saved.buttons[a])) b.buttons[a] = saved.buttons[a].filter(Number.isInteger);
+      }
+    } catch (e) {
+      console.warn("Bad saved bindings, using defaults:", e);
+    }
+    return b;
+  }
+
+  function createInput({ target, storage = null, getGamepads = () => [] }) {
+    let bindings = loadBindings(storage);
+
+    const keysDown = new Set();
+    const keysPressed = new Set();  // raw keys since clearUi()
+    const actionsPressed = new Set(); // since clearPressed()
+    const ui = new Set();             // menu presses since clearUi()
+
+    let padId = "";
+    let padButtons = [];     // held state per button, this poll
+    let padPressed = new Set(); // buttons that went down this poll
+    let padAxisX = 0;
+    let padActions = new Set(); // actions held through the pad, last poll
+    const virtualDown = new Set(); // actions held by on-screen controls
+
+    let capture = null; // callback for the next key/button (bindings screen)
+
+    function actionsForKey(k) {
+      return ACTIONS.filter((a) => bindings.keys[a].includes(k));
+    }
+
+    target.addEventListener(
+      "keydown",
+      (e) => {
+        const k = e.key.toLowerCase();
+        if (capture) {
+          e.preventDefault();
+          const cb = capture;
+          capture = null;
+          cb(k === "escape" ? null : { kind: "key", code: k });
+          return;
+        }
+        // (auto-repeat counts as a press, same as it always has for jump)
+        keysPressed.add(k);
+        for (const a of actionsForKey(k)) actionsPressed.add(a);
+        for (const [name, ks] of Object.entries(UI_KEYS)) if (ks.includes(k)) ui.add(name);
+        keysDown.add(k);
+        if (
+          [" ", "arrowup", "arrowdown", "arrowleft", "arrowright"].includes(k) ||
+          e.code === "Space" ||
+          actionsForKey(k).length
+        ) {
+          e.preventDefault();
+        }
+      },
+      { passive: false }
+    );
+    target.addEventListener("keyup", (e) => keysDown.delete(e.key.toLowerCase()));
+    // keys held while the window loses focus never get a keyup
+    target.addEventListener("blur", () => keysDown.clear());
+
+    function firstPad() {
+      let pads = [];
+      try { pads = Array.from(getGamepads() || []); } catch {}
+      return pads.find((p) => p && p.connected) || null;
+    }
+
+    function padActionDown(a) {
+      if (bindings.buttons[a].some((b) => padButtons[b])) return true;
+      if (a === "left") return padAxisX < -STICK_DEADZONE;
+      if (a === "right") return padAxisX > STICK_DEADZONE;
+      return false;
+    }
+
+    // Read the gamepad and turn newly-held buttons into presses. Once per frame.
+    function poll() {
+      const pad = firstPad();
+      const prevButtons = padButtons;
+      padId = pad ? pad.id : "";
+      padButtons = pad ? pad.buttons.map((b) => b.pressed || b.value > 0.5) : [];
+      const rawX = pad && pad.axes.length ? pad.axes[0] : 0;
+      padAxisX = Math.abs(rawX) < STICK_DEADZONE ? 0 : rawX;
+
+      padPressed = new Set();
+      padButtons.forEach((down, i) => { if (down && !prevButtons[i]) padPressed.add(i); });
+
+      if (capture && padPressed.size) {
+        const cb = capture;
+        capture = null;
+        cb({ kind: "button", code: Math.min(...padPressed) });
+        padPressed.clear();
+      }
+
+      const nowHeld = new Set(ACTIONS.filter(padActionDown));
+      for (const a of nowHeld) if (!padActions.has(a)) actionsPressed.add(a);
+      padActions = nowHeld;
+
+      for (const [name, bs] of Object.entries(UI_BUTTONS)) {
+        if (bs.some((b) => padPressed.has(b))) ui.add(name);
+      }
+    }
+
+    function isDown(a) {
+      return bindings.keys[a].some((k) => keysDown.has(k)) || padActions.has(a) || virtualDown.has(a);
+    }
+
+    // Touch buttons go through here so they press / hold exactly like a key
+    function setHeld(a, down) {
+      if (down && !virtualDown.has(a)) actionsPressed.add(a);
+      if (down) virtualDown.add(a);
+      else virtualDown.delete(a);
+    }
+
+    function save() {
+      if (!storage) return;
+      try {
+        storage.setItem(BINDINGS_KEY, JSON.stringify(Object.assign({ v: BINDINGS_VERSION }, bindings)));
+      } catch (e) {
+        console.warn("Bindings save failed:", e);
+      }
+    }
+
+    // One key / button drives one action: binding it here unbinds it elsewhere
+    function bind(action, { kind, code }) {
+      const table = kind === "key" ? bindings.keys : bindings.buttons;
+      for (const a of ACTIONS) table[a] = table[a].filter((c) => c !== code);
+      table[action] = [code];
+      save();
+    }
+
+    return {
+      poll,
+      isDown,
+      wasPressed: (a) => actionsPressed.has(a),
+      consume: (a) => actionsPressed.delete(a),
+      setHeld,
+      clearPressed: () => actionsPressed.clear(),
+
+      keyPressed: (k) => keysPressed.has(k),
+      padPressed: (b) => padPressed.has(b),
+      uiPressed: (name) => ui.has(name),
+      clearUi() {
+        keysPressed.clear();
+        ui.clear();
+      },
+
+      get padId() { return padId; },
+      get bindings() { return bindings; },
+
+      // bindings screen
+      capture(cb) { capture = cb; },
+      get capturing() { return !!capture; },
+      bind,
+      resetAction(a) {
+        bindings.keys[a] = DEFAULT_BINDINGS.keys[a].slice();
+        bindings.buttons[a] = DEFAULT_BINDINGS.buttons[a].slice();
+        save();
+      },
+      resetAll() {
+        bindings = copyBindings(DEFAULT_BINDINGS);
+        save();
+      },
+      describe(a) {
+        return {
+          keys: bindings.keys[a].map(keyName).join(", ") || "-",
+          buttons: bindings.buttons[a].map(buttonName).join(", ") || "-",
+        };
+      },
+    };
+  }
+
+  return { ACTIONS, ACTION_LABELS, DEFAULT_BINDINGS, STICK_DEADZONE, createInput, keyName, buttonName };
+});
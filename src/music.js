@@ -0,0 +1,107 @@
+// music.js — the soundtrack as data: songs built from per-channel step patterns, the
+// drum kit the percussion channel plays, and one-shot cues. game.js's sequencer
+// plays them through WebAudio; nothing here touches audio.
+//
+//   const { SONGS, tempoAt, noteFreq } = GhostChase.music;
+//   const bpm = tempoAt(SONGS.chase, game.baseScroll);
+//
+// A song:
+//   tempo     [bpm, bpm]: the first at SCROLL_SLOW px/s of world scroll or below, the
+//             second at SCROLL_FAST or above, so the music speeds up with the run
+//   scale     note frequencies (Hz) the melodic channels index into
+//   channels  one entry per channel (CHANNELS) the song uses; each loops its own
+//             pattern of eighth-note steps and fades in once the run reaches
+//             `phase` (1 = from the start, 2/3/4 = from the difficulty's ph1/ph2/ph3 on)
+//     melodic   { phase, wave, octave, gain, len, steps: [degree, ...] }
+//               degree -1 = rest; degrees past the scale's end climb an octave;
+//               len = note length in steps, gain = the note's peak
+//     perc      { phase, gain, steps: "k-h-s-h-" }  one DRUMS key per step, "-" rest
+//
+// A cue is a one-shot phrase: notes [at s, Hz, dur s, slide-to Hz?] on one wave.
+// `duck` drops the song's channels to that level while it plays.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).music = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CHANNELS = ["bass", "lead", "arp", "perc"];
+  const SCROLL_SLOW = 90;
+  const SCROLL_FAST = 330;
+
+  // filtered white noise: filter type, cutoff (Hz), length (s)
+  const DRUMS = {
+    k: { filter: "lowpass", freq: 160, dur: 0.18, gain: 1 },     // kick
+    s: { filter: "bandpass", freq: 1800, dur: 0.12, gain: 0.6 }, // snare
+    h: { filter: "highpass", freq: 7000, dur: 0.035, gain: 0.35 }, // hat
+  };
+
+  const SONGS = {
+    chase: {
+      tempo: [112, 150],
+      scale: [261.63, 293.66, 329.63, 392.0, 440.0],
+      channels: {
+        bass: { phase: 1, wave: "triangle", octave: -2, gain: 0.05, len: 2, steps: [0, -1, -1, -1, 0, -1, 3, -1, 2, -1, -1, -1, 2, -1, 4, -1] },
+        lead: { phase: 2, wave: "square", octave: 0, gain: 0.012, len: 1, steps: [0, -1, 2, -1, 4, -1, 2, -1, 3, -1, 2, -1, 1, -1, 2, -1] },
+        perc: { phase: 3, gain: 0.05, steps: "k-h-s-h-k-hks-hh" },
+        arp: { phase: 4, wave: "square", octave: 1, gain: 0.006, len: 1, steps: [0, 2, 4, 2, 1, 3, 5, 3] },
+      },
+    },
+    boss: {
+      tempo: [150, 150],
+      scale: [220.0, 233.08, 261.63, 311.13, 329.63],
+      channels: {
+        bass: { phase: 1, wave: "sawtooth", octave: -2, gain: 0.03, len: 1, steps: [0, 0, -1, 0, 1, -1, 0, -1] },
+        lead: { phase: 1, wave: "square", octave: 0, gain: 0.012, len: 1, steps: [0, 0, 3, -1, 0, 4, 3, 1] },
+        perc: { phase: 1, gain: 0.05, steps: "k-hkshk-k-hksshh" },
+      },
+    },
+    // after the boss falls: the chase theme, brighter
+    victory: {
+      tempo: [120, 156],
+      scale: [293.66, 329.63, 369.99, 440.0, 493.88, 587.33],
+      channels: {
+        bass: { phase: 1, wave: "triangle", octave: -2, gain: 0.05, len: 2, steps: [0, -1, -1, -1, 3, -1, -1, -1, 4, -1, -1, -1, 3, -1, 1, -1] },
+        lead: { phase: 1, wave: "square", octave: 0, gain: 0.012, len: 1, steps: [0, 2, 4, 2, 5, -1, 4, 2] },
+        perc: { phase: 1, gain: 0.05, steps: "k-h-s-h-k-h-s-hh" },
+        arp: { phase: 4, wave: "triangle", octave: 1, gain: 0.01, len: 1, steps: [0, 4, 2, 4, 1, 5, 3, 5] },
+      },
+    },
+  };
+
+  const CUES = {
+    // ghost lunge: a dissonant swell over the ducked song
+    stinger: {
+      wave: "sawtooth", gain: 0.05, duck: 0.35,
+      notes: [[0, 233.08, 0.5, 246.94], [0, 329.63, 0.5, 349.23], [0.1, 466.16, 0.4, 493.88]],
+    },
+    // run over: a falling minor phrase, then the song stops until the next run
+    gameover: {
+      wave: "triangle", gain: 0.09, duck: 0,
+      notes: [[0, 392.0, 0.2], [0.2, 349.23, 0.2], [0.4, 311.13, 0.2], [0.6, 261.63, 0.9], [0.6, 130.81, 1.1]],
+    },
+  };
+
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+  // bpm for the current world scroll (px/s)
+  function tempoAt(song, scroll) {
+    const [slow, fast] = song.tempo;
+    return slow + (fast - slow) * clamp01((scroll - SCROLL_SLOW) / (SCROLL_FAST - SCROLL_SLOW));
+  }
+
+  // Hz of a scale degree, shifted by whole octaves
+  function noteFreq(song, degree, octave = 0) {
+    const n = song.scale.length;
+    return song.scale[degree % n] * Math.pow(2, Math.floor(degree / n) + octave);
+  }
+
+  // what a channel plays on a song step: a degree (melodic), a DRUMS key (perc), or null
+  function stepOf(channel, step) {
+    const s = channel.steps[step % channel.steps.length];
+    return s === -1 || s === "-" ? null : s;
+  }
+
+  return { CHANNELS, SCROLL_SLOW, SCROLL_FAST, DRUMS, SONGS, CUES, tempoAt, noteFreq, stepOf };
+});
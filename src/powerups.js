@@ -0,0 +1,75 @@
+// powerups.js — pickup types as data. core.js spawns, collects and times every
+// type the same way; game.js draws them from `sprite` and lists them by `label`.
+//
+//   spawn     { first, every, minPhase }  first spawn (s into the run), then one
+//             every `every` s once the phase is reached; a new pickup replaces the
+//             type's previous one if it's still lying around
+//   duration  ms the power lasts once picked up (rainbowDuration on rainbow runs)
+//   effects   what core applies while the power is active:
+//               sword: true     attack repels the ghost, hits chain into combos
+//               shield: n       absorbs n ghost touches, then ends
+//               airJumps: n     extra jumps in mid-air (refilled on landing)
+//               slow: f         world scroll and ghost run at f x speed
+//               magnet: r       other pickups within r px drift to the player
+//   sprite    { asset, shape, color }  image from game.js's asset list if loaded,
+//             else `shape` drawn in `color`
+//
+//   const { POWERUPS, byId } = GhostChase.powerups;
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).powerups = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // spawn order matters: pickups roll their spots from the AI stream in this order
+  const POWERUPS = [
+    {
+      // spawn.every and the durations are normal's: core takes the sword's from the difficulty
+      id: "sword",
+      label: "Sword",
+      spawn: { first: 3, every: 20, minPhase: 1 },
+      duration: 6500,
+      rainbowDuration: 9500,
+      effects: { sword: true },
+      sprite: { asset: "sword", shape: "sword", color: "#e8eefc" },
+    },
+    {
+      id: "shield",
+      label: "Shield",
+      spawn: { first: 14, every: 32, minPhase: 1 },
+      duration: 20000,
+      effects: { shield: 1 },
+      sprite: { shape: "shield", color: "#8fd3ff" },
+    },
+    {
+      id: "double",
+      label: "Double jump",
+      spawn: { first: 24, every: 28, minPhase: 2 },
+      duration: 9000,
+      effects: { airJumps: 1 },
+      sprite: { shape: "wings", color: "#b9ffb0" },
+    },
+    {
+      id: "magnet",
+      label: "Magnet",
+      spawn: { first: 34, every: 30, minPhase: 2 },
+      duration: 8000,
+      effects: { magnet: 110 },
+      sprite: { shape: "magnet", color: "#ff8a9a" },
+    },
+    {
+      id: "slow",
+      label: "Slow-time",
+      spawn: { first: 50, every: 36, minPhase: 3 },
+      duration: 4500,
+      effects: { slow: 0.6 },
+      sprite: { shape: "hourglass", color: "#d9b8ff" },
+    },
+  ];
+
+  const byId = {};
+  for (const p of POWERUPS) byId[p.id] = p;
+
+  return { POWERUPS, byId };
+});
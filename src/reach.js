@@ -0,0 +1,74 @@
+// reach.js — jump-arc reachability for the world generators (no DOM; usable from Node).
+// Replays the same per-tick integration step() uses, for a full-height jump
+// holding right, and reports how far (in world px) the player gets before their
+// feet come back down to a given height.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).reach = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MAX_AIR_TIME = 3; // seconds; anything longer is "never lands"
+
+  // Top speed reached running on the ground: v = (v + a*dt) * damp settles at a*dt*damp / (1 - damp)
+  function terminalSpeed(accel, dt, damp) {
+    return (accel * dt * damp) / (1 - damp);
+  }
+
+  // World px travelled from takeoff until the feet are back at `dy` px below the
+  // takeoff height (negative dy = a higher landing), or -1 if the arc never gets there.
+  //   p: { dt, gravity, jumpV, accel, moveAir, speedCap, v0, scroll, laneRoom }
+  // The camera carries the player at `scroll` px/s; on top of that the player can
+  // only gain `laneRoom` screen px before hitting the right edge of the lane.
+  function jumpTravel(dy, p) {
+    let vx = p.v0, vy = -p.jumpV;
+    let screenX = 0, worldX = 0, y = 0;
+
+    const maxTicks = Math.ceil(MAX_AIR_TIME / p.dt);
+    for (let i = 0; i < maxTicks; i++) {
+      vx = Math.min((vx + p.accel * p.dt) * p.moveAir, p.speedCap);
+      vy += p.gravity * p.dt;
+
+      const nextScreenX = Math.min(screenX + vx * p.dt, p.laneRoom);
+      worldX += nextScreenX - screenX + p.scroll * p.dt;
+      screenX = nextScreenX;
+      y += vy * p.dt;
+
+      if (vy >= 0 && y >= dy) return worldX;
+    }
+    return -1;
+  }
+
+  // Height (px above takeoff, up = positive) of the feet once the same jump has
+  // covered `dx` world px; what the generators hang collectibles along
+  function heightAt(dx, p) {
+    let vx = p.v0, vy = -p.jumpV;
+    let screenX = 0, worldX = 0, y = 0;
+
+    const maxTicks = Math.ceil(MAX_AIR_TIME / p.dt);
+    for (let i = 0; i < maxTicks && worldX < dx; i++) {
+      vx = Math.min((vx + p.accel * p.dt) * p.moveAir, p.speedCap);
+      vy += p.gravity * p.dt;
+
+      const nextScreenX = Math.min(screenX + vx * p.dt, p.laneRoom);
+      worldX += nextScreenX - screenX + p.scroll * p.dt;
+      screenX = nextScreenX;
+      y += vy * p.dt;
+    }
+    return -y;
+  }
+
+  // Highest the feet get above takeoff on a full-height jump
+  function apexHeight(p) {
+    let vy = -p.jumpV, y = 0, top = 0;
+    while (vy < 0) {
+      vy += p.gravity * p.dt;
+      y += vy * p.dt;
+      top = Math.min(top, y);
+    }
+    return -top;
+  }
+
+  return { terminalSpeed, jumpTravel, heightAt, apexHeight };
+});
@@ -0,0 +1,145 @@
+// records.js — local leaderboard (top runs) + lifetime stats, kept in storage.
+// No DOM; storage is injected (localStorage-shaped), so tools can use it too:
+//
+//   const records = GhostChase.records.createRecords(storage);
+//   const rank = records.addRun(info, new Date()); // info = core's onGameOver info
+//   records.leaderboard;  // best first, every difficulty (runs from before scoring have no `score`)
+//   records.leaderboardFor("nightmare");  // best first, one difficulty (a custom board is
+//                                         // one set of values: difficulty.courseKey())
+//   records.stats;        // { runs, totalTime, deaths: { [reason]: n }, ... }
+//
+// Both blobs carry a version `v`. Older data is upgraded one step at a time
+// through MIGRATIONS, so a schema change never wipes anyone's history. Data
+// written by a newer build is left untouched (read-only) rather than clobbered.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).records = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const RECORDS_VERSION = 2;
+  const LEADERBOARD_KEY = "gc_leaderboard";
+  const STATS_KEY = "gc_stats";
+  const LEADERBOARD_SIZE = 20; // per difficulty (per set of custom values)
+
+  // MIGRATIONS[n](data) turns a v=n blob into v=n+1 (one entry per schema bump):
+  //   leaderboard: { v, runs: [entry] }   stats: { v, runs, totalTime, deaths, ... }
+  const MIGRATIONS = {
+    leaderboard: {
+      // v2: entries are tagged with their difficulty; everything before it was normal
+      1: (d) => ({ v: 2, runs: d.runs.map((r) => Object.assign({ difficulty: "normal" }, r)) }),
+    },
+    stats: {
+      1: (d) => Object.assign({}, d, { v: 2 }),
+    },
+  };
+
+  function freshLeaderboard() {
+    return { v: RECORDS_VERSION, runs: [] };
+  }
+
+  function freshStats() {
+    return { v: RECORDS_VERSION, runs: 0, totalTime: 0, deaths: {}, firstPlayed: null, lastPlayed: null };
+  }
+
+  // -> { data, writable }
+  function load(storage, key, kind, fresh) {
+    let data = null;
+    try {
+      data = JSON.parse(storage.getItem(key) || "null");
+    } catch (e) {
+      console.warn(`Bad ${kind} data, starting fresh:`, e);
+    }
+    if (!data || typeof data !== "object" || !Number.isInteger(data.v)) return { data: fresh(), writable: true };
+
+    if (data.v > RECORDS_VERSION) {
+      console.warn(`${kind} saved by a newer version (v${data.v}); not updating it.`);
+      return { data, writable: false };
+    }
+    while (data.v < RECORDS_VERSION) {
+      const up = MIGRATIONS[kind][data.v];
+      if (!up) {
+        console.warn(`No ${kind} migration from v${data.v}; not updating it.`);
+        return { data, writable: false };
+      }
+      data = up(data);
+    }
+    return { data, writable: true };
+  }
+
+  function entryFromRun(info, date) {
+    return {
+      time: Math.round(info.time * 100) / 100,
+      score: info.score,
+      repels: info.repels,
+      maxCombo: info.maxCombo,
+      swords: info.swordsCollected,
+      phase: info.phase,
+      reason: info.reason,
+      seed: info.seed >>> 0,
+      rainbow: !!info.rainbow,
+      difficulty: info.difficulty || "normal",
+      course: info.course || info.difficulty || "normal",
+      date: date.toISOString(),
+    };
+  }
+
+  // longer survival first; ties go to the run that repelled more, then the older one
+  function compareEntries(a, b) {
+    return b.time - a.time || b.repels - a.repels || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  }
+
+  function createRecords(storage) {
+    const lb = load(storage, LEADERBOARD_KEY, "leaderboard", freshLeaderboard);
+    const st = load(storage, STATS_KEY, "stats", freshStats);
+
+    function save(key, slot) {
+      if (!slot.writable) return;
+      try {
+        storage.setItem(key, JSON.stringify(slot.data));
+      } catch (e) {
+        console.warn("Records save failed:", e);
+      }
+    }
+
+    // Record a finished run; returns its leaderboard rank (1-based), or 0 if it didn't place
+    function addRun(info, date = new Date()) {
+      const entry = entryFromRun(info, date);
+
+      const s = st.data;
+      s.runs++;
+      s.totalTime += entry.time;
+      s.deaths[entry.reason] = (s.deaths[entry.reason] || 0) + 1;
+      if (!s.firstPlayed) s.firstPlayed = entry.date;
+      s.lastPlayed = entry.date;
+      save(STATS_KEY, st);
+
+      // ranked (and trimmed) only against runs on the same difficulty (and custom values)
+      const runs = lb.data.runs;
+      runs.push(entry);
+      runs.sort(compareEntries);
+      const board = leaderboardFor(entry.course);
+      const rank = board.indexOf(entry) + 1;
+      const cut = new Set(board.slice(LEADERBOARD_SIZE));
+      lb.data.runs = runs.filter((r) => !cut.has(r));
+      save(LEADERBOARD_KEY, lb);
+      return rank <= LEADERBOARD_SIZE ? rank : 0;
+    }
+
+    // course: a difficulty.courseKey(); entries from before custom values were told
+    // apart only carry the difficulty name
+    function leaderboardFor(course) {
+      return lb.data.runs.filter((r) => (r.course || r.difficulty) === course);
+    }
+
+    return {
+      addRun,
+      leaderboardFor,
+      get leaderboard() { return lb.data.runs; },
+      get stats() { return st.data; },
+    };
+  }
+
+  return { RECORDS_VERSION, LEADERBOARD_SIZE, createRecords };
+});
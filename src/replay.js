@@ -0,0 +1,70 @@
+// replay.js — run recording and replay decoding (no DOM; usable from Node).
+// A replay is the seed, difficulty params + per-tick input masks of one run.
+// Feeding the same input through step() from restart(seed) on the same
+// difficulty reproduces the run exactly (replays without one were on normal).
+// Stored format (JSON): events is a flat list of [deltaTick, heldMask, pressedMask]
+// triples, written only on ticks where something changed.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.GhostChase = root.GhostChase || {}).replay = factory(root.GhostChase.core);
+})(typeof self !== "undefined" ? self : this, function (core) {
+  "use strict";
+
+  // v2: masks are over core.ACTIONS (v1 stored raw keyboard keys)
+  const REPLAY_VERSION = 2;
+
+  function createRecorder(seed, difficulty = null) {
+    let ticks = 0, lastTick = 0, lastHeld = 0;
+    const events = [];
+
+    return {
+      tick(held, press) {
+        if (held !== lastHeld || press !== 0) {
+          events.push(ticks - lastTick, held, press);
+          lastTick = ticks;
+          lastHeld = held;
+        }
+        ticks++;
+      },
+      finish(tSec, date = new Date().toISOString()) {
+        return {
+          v: REPLAY_VERSION,
+          game: core.VERSION,
+          seed,
+          difficulty,
+          tickRate: core.TICK_RATE,
+          actions: core.ACTIONS,
+          ticks,
+          time: Number(tSec.toFixed(2)),
+          date,
+          events,
+        };
+      },
+    };
+  }
+
+  // Expand the sparse event list into one held/pressed mask per tick
+  function decodeReplay(data) {
+    if (!data || !Array.isArray(data.events) || !(data.ticks > 0)) throw new Error("not a replay");
+    if (data.v !== REPLAY_VERSION) throw new Error(`unsupported replay format v${data.v}`);
+    if (data.tickRate !== core.TICK_RATE) throw new Error(`replay tick rate ${data.tickRate} != ${core.TICK_RATE}`);
+
+    const held = new Uint16Array(data.ticks);
+    const press = new Uint16Array(data.ticks);
+    let tick = 0, cur = 0;
+    for (let i = 0; i + 2 < data.events.length; i += 3) {
+      const next = tick + data.events[i];
+      held.fill(cur, tick, Math.min(next, data.ticks));
+      tick = next;
+      if (tick >= data.ticks) break;
+      cur = data.events[i + 1];
+      held[tick] = cur;
+      press[tick] = data.events[i + 2];
+    }
+    if (tick < data.ticks) held.fill(cur, tick);
+    return { held, press };
+  }
+
+  return { REPLAY_VERSION, createRecorder, decodeReplay };
+});
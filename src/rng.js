@@ -0,0 +1,36 @@
+// rng.js — seeded PRNG helpers shared by the game core, the browser shell and tools.
+// Loaded as a plain <script> (attaches to window.GhostChase.rng) or require()'d from Node.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).rng = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // mulberry32: tiny 32-bit PRNG, plenty for level generation
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // FNV-1a, so text seeds ("?seed=bob") map to a stable number
+  function hashSeed(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Second stream for the same seed (ghost AI + sword spawns)
+  const AI_SALT = 0x9e3779b9;
+
+  return { makeRng, hashSeed, AI_SALT };
+});
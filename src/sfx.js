@@ -0,0 +1,89 @@
+// sfx.js — sound effects as parameter presets. core.js names a sound with
+// hooks.sfx(name); game.js synthesizes the preset's voices through the mixer's
+// SFX bus. Nothing here touches audio.
+//
+//   const { PRESETS, notesOf } = GhostChase.sfx;
+//   for (const voice of PRESETS.jump) for (const { at, freq } of notesOf(voice)) ...
+//
+// A preset is a list of voices played together:
+//   wave     oscillator type (square | sawtooth | triangle | sine), or "noise":
+//            white noise through a `filter` (lowpass | bandpass | highpass)
+//   freq     pitch envelope [start Hz, end Hz?]: an exponential slide over `slide` s
+//            (default: most of `dur`); for noise it moves the filter cutoff
+//   dur      s until the voice has died away
+//   gain     gain envelope: rises to `gain` over `attack` s (default 0.01), then
+//            falls away by `dur`
+//   at       s after the trigger the voice starts (default 0)
+//   arp      { steps, every }: replays the voice once per step, `every` s apart,
+//            each shifted by that many semitones
+//   tremolo  { rate, depth }: a square LFO on the gain (Hz, gain units)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).sfx = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const PRESETS = {
+    jump: [{ wave: "square", freq: [260, 520], dur: 0.12, gain: 0.12 }],
+    land: [
+      { wave: "noise", filter: "lowpass", freq: [900, 180], dur: 0.09, gain: 0.16 },
+      { wave: "triangle", freq: [120, 70], dur: 0.07, gain: 0.08 },
+    ],
+    hit: [{ wave: "sawtooth", freq: [180, 90], dur: 0.1, gain: 0.16 }],
+    // combo milestone: a quick major arpeggio over the hit
+    combo: [{ wave: "square", freq: [523.25], dur: 0.06, gain: 0.06, at: 0.04, arp: { steps: [0, 4, 7, 12], every: 0.045 } }],
+    pickup: [{ wave: "triangle", freq: [330], dur: 0.055, gain: 0.11, arp: { steps: [0, 4, 8], every: 0.06 } }],
+    // the sword runs out: the pickup's arpeggio, falling
+    swordend: [{ wave: "triangle", freq: [523.25], dur: 0.07, gain: 0.08, arp: { steps: [0, -5, -12], every: 0.07 } }],
+    // spooky swoop: downward pitch with a tremolo
+    ghostspawn: [{ wave: "triangle", freq: [520, 130], slide: 0.35, dur: 0.38, gain: 0.18, attack: 0.02, tremolo: { rate: 18, depth: 0.035 } }],
+    // rising growl and hiss, so a lunge is heard coming as well as seen
+    windup: [
+      { wave: "sawtooth", freq: [70, 160], dur: 0.4, gain: 0.1 },
+      { wave: "noise", filter: "bandpass", freq: [300, 1400], dur: 0.4, gain: 0.05, attack: 0.3 },
+    ],
+    shield: [
+      { wave: "triangle", freq: [880, 330], dur: 0.22, gain: 0.14 },
+      { wave: "square", freq: [440, 160], dur: 0.16, gain: 0.05 },
+    ],
+    fireball: [{ wave: "sawtooth", freq: [300, 620], dur: 0.16, gain: 0.07 }],
+    swoop: [{ wave: "triangle", freq: [900, 300], dur: 0.28, gain: 0.06 }],
+    pop: [{ wave: "square", freq: [700, 1400], dur: 0.06, gain: 0.08 }],
+    bossrise: [
+      { wave: "sawtooth", freq: [90, 45], dur: 1.2, gain: 0.2 },
+      { wave: "square", freq: [180, 60], dur: 0.9, gain: 0.08 },
+    ],
+    bosshit: [{ wave: "square", freq: [520, 200], dur: 0.12, gain: 0.14 }],
+    bossdown: [
+      { wave: "sawtooth", freq: [400, 40], dur: 1.4, gain: 0.2 },
+      { wave: "triangle", freq: [523, 1046], dur: 0.8, gain: 0.1 },
+    ],
+    sweep: [{ wave: "sawtooth", freq: [1200, 200], dur: 0.5, gain: 0.08 }],
+    grab: [{ wave: "square", freq: [70, 50], dur: 0.7, gain: 0.16 }],
+    creak: [{ wave: "square", freq: [150, 110], dur: 0.08, gain: 0.05 }],
+    crumble: [
+      { wave: "sawtooth", freq: [130, 45], dur: 0.24, gain: 0.12 },
+      { wave: "noise", filter: "lowpass", freq: [1200, 300], dur: 0.3, gain: 0.08 },
+    ],
+    gameover: [{ wave: "triangle", freq: [220, 110], dur: 0.3, gain: 0.15 }],
+    orb: [{ wave: "triangle", freq: [880, 1320], dur: 0.08, gain: 0.07 }],
+    nearmiss: [{ wave: "triangle", freq: [300, 900], dur: 0.18, gain: 0.08 }],
+    achievement: [
+      { wave: "triangle", freq: [659, 659], dur: 0.12, gain: 0.08 },
+      { wave: "triangle", freq: [988, 1318], dur: 0.3, gain: 0.06 },
+    ],
+  };
+
+  // -> [{ at, freq }] one per note a voice plays (a single one without `arp`)
+  function notesOf(voice) {
+    const at = voice.at || 0;
+    if (!voice.arp) return [{ at, freq: voice.freq }];
+    return voice.arp.steps.map((semis, i) => ({
+      at: at + i * voice.arp.every,
+      freq: voice.freq.map((f) => f * Math.pow(2, semis / 12)),
+    }));
+  }
+
+  return { PRESETS, notesOf };
+});
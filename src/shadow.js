@@ -0,0 +1,165 @@
+// shadow.js — the best run on a seed, as a per-tick trajectory (position + pose),
+// so later runs on that seed can race a translucent "shadow" of it.
+//
+//   const track = GhostChase.shadow.createTrack(seed, core.VERSION, course);
+//   track.tick(worldX, y, pose);            // once per live tick, after step()
+//   const rec = track.finish(time);          // on game over
+//   shadows.offer(rec);                      // kept if it beats the stored one
+//   const best = shadows.get(seed, course);  // decoded, or null (createShadowStore(storage, core.VERSION))
+//   best.x[tick], best.y[tick], best.pose(tick)
+//
+// `course` tells apart runs on the same seed that generate different courses
+// (difficulty.courseKey(); records without one are "normal").
+// Stored in one versioned blob (gc_shadows) holding the last few seeds' bests.
+// Positions are quantized to half pixels and delta-encoded to keep it small.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).shadow = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const SHADOW_VERSION = 1;
+  const SHADOWS_KEY = "gc_shadows";
+  const MAX_SEEDS = 8; // oldest recording is dropped beyond this
+  const Q = 2;         // quantization: 1/Q px
+
+  const ATTACK_DIRS = ["right", "left", "up", "down"];
+
+  // pose <-> small int: bits 0-3 flags, 4-5 attack dir, 6+ speed / 10
+  function packPose(p) {
+    return (
+      (p.onGround ? 1 : 0) |
+      (p.sprinting ? 2 : 0) |
+      (p.attacking ? 4 : 0) |
+      (p.hasSword ? 8 : 0) |
+      (Math.max(0, ATTACK_DIRS.indexOf(p.attackDir)) << 4) |
+      (Math.min(31, Math.round(p.speed / 10)) << 6)
+    );
+  }
+
+  function unpackPose(f) {
+    return {
+      onGround: (f & 1) !== 0,
+      sprinting: (f & 2) !== 0,
+      attacking: (f & 4) !== 0,
+      hasSword: (f & 8) !== 0,
+      attackDir: ATTACK_DIRS[(f >> 4) & 3],
+      speed: ((f >> 6) & 31) * 10,
+    };
+  }
+
+  function deltas(values) {
+    let prev = 0;
+    return values.map((v) => {
+      const d = v - prev;
+      prev = v;
+      return d;
+    });
+  }
+
+  function undelta(ds) {
+    const out = new Float32Array(ds.length);
+    let acc = 0;
+    for (let i = 0; i < ds.length; i++) {
+      acc += ds[i];
+      out[i] = acc / Q;
+    }
+    return out;
+  }
+
+  function createTrack(seed, game = "", course = "normal") {
+    const xs = [], ys = [], fs = [];
+    return {
+      tick(x, y, pose) {
+        xs.push(Math.round(x * Q));
+        ys.push(Math.round(y * Q));
+        fs.push(packPose(pose));
+      },
+      finish(time, date = new Date()) {
+        return {
+          seed: seed >>> 0,
+          game,
+          course,
+          time: Math.round(time * 100) / 100,
+          date: date.toISOString(),
+          ticks: xs.length,
+          x: deltas(xs),
+          y: deltas(ys),
+          f: fs,
+        };
+      },
+    };
+  }
+
+  function decode(rec) {
+    const x = undelta(rec.x);
+    const y = undelta(rec.y);
+    // running max of x: "when did the shadow first get this far" is a binary search
+    const reach = new Float32Array(x.length);
+    for (let i = 0; i < x.length; i++) reach[i] = i ? Math.max(reach[i - 1], x[i]) : x[i];
+
+    return {
+      seed: rec.seed,
+      time: rec.time,
+      ticks: rec.ticks,
+      x,
+      y,
+      pose: (tick) => unpackPose(rec.f[Math.max(0, Math.min(rec.f.length - 1, tick))]),
+      // first tick at which the shadow had reached worldX, or -1 if it never did
+      tickAt(worldX) {
+        let lo = 0, hi = reach.length - 1;
+        if (hi < 0 || reach[hi] < worldX) return -1;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (reach[mid] >= worldX) hi = mid;
+          else lo = mid + 1;
+        }
+        return lo;
+      },
+    };
+  }
+
+  // gameVersion: recordings from another core version may not match the course
+  function createShadowStore(storage, gameVersion = "") {
+    let slots = [];
+    try {
+      const saved = JSON.parse(storage.getItem(SHADOWS_KEY) || "null");
+      if (saved && saved.v === SHADOW_VERSION && Array.isArray(saved.slots)) slots = saved.slots;
+    } catch (e) {
+      console.warn("Bad saved shadows, ignoring:", e);
+    }
+
+    function save() {
+      try {
+        storage.setItem(SHADOWS_KEY, JSON.stringify({ v: SHADOW_VERSION, slots }));
+      } catch (e) {
+        console.warn("Shadow save failed:", e);
+      }
+    }
+
+    function find(seed, course = "normal") {
+      return slots.find((s) => s.seed === seed >>> 0 && s.game === gameVersion && (s.course || "normal") === course) || null;
+    }
+
+    return {
+      get(seed, course) {
+        const rec = find(seed, course);
+        return rec ? decode(rec) : null;
+      },
+      // keep rec if it's the best run on its seed so far; true if kept
+      offer(rec) {
+        const cur = find(rec.seed, rec.course);
+        if (cur && cur.time >= rec.time) return false;
+        slots = slots.filter((s) => s !== cur);
+        slots.push(rec);
+        slots.sort((a, b) => (a.date < b.date ? 1 : -1));
+        slots.length = Math.min(slots.length, MAX_SEEDS);
+        save();
+        return true;
+      },
+    };
+  }
+
+  return { SHADOW_VERSION, createTrack, createShadowStore, packPose, unpackPose };
+});
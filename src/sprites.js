@@ -0,0 +1,146 @@
+// sprites.js — the asset manifest: every image game.js loads, how its sheet is cut
+// into frames / tiles, the named animations and the parallax layers. MANIFEST is
+// a JSON-shaped object literal (it lives here, not in a .json file), so frames,
+// tiles and layers can be added without touching game.js (which draws a
+// procedural stand-in for anything that fails to load):
+//
+//   {
+//     "format": 1,
+//     "sheets": {
+//       "ghost": {
+//         "src": "assets/ghost.png",
+//         "frame": [64, 64],                    // frame w, h; frames count left to right,
+//                                               // then top to bottom
+//         "animations": {
+//           "idle":  { "frames": [0, 1, 2, 3, 4, 5], "fps": 6 },
+//           "lunge": { "frames": [0, 1, 2, 3, 4, 5], "fps": 10 }
+//         }
+//       },
+//       "tiles": {
+//         "src": "assets/tiles.png",
+//         "frame": [8, 8],
+//         "tiles": {                            // [col, row] cells, or a list of them
+//           "left": [0, 0], "middle": [[0, 0], [2, 0]],   // (a list alternates along the bar)
+//           "right": [0, 0], "under": [1, 0]
+//         }
+//       },
+//       "bg_far": { "src": "assets/bg_far.png" }   // no "frame": the whole image
+//     },
+//     "parallax": [                             // back to front
+//       { "sheet": "bg_far", "speed": 0.14, "y": 0 }   // speed: x camera scroll; y: px down
+//     ]
+//   }
+//
+// The ghost plays the animation named after its state (spawn, calm, windup,
+// lunge, boss) if there is one, else "idle". parseManifest() throws on a broken manifest.
+//
+//   const sprites = GhostChase.sprites.parseManifest(GhostChase.sprites.MANIFEST);
+//   const i = GhostChase.sprites.frameAt(sprites.sheets.ghost.animations.idle, tSec);
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).sprites = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MANIFEST_FORMAT = 1;
+  const TILE_VARIANTS = ["left", "middle", "right", "under"];
+
+  const MANIFEST = {
+    "format": 1,
+    "sheets": {
+      "ghost": {
+        "src": "assets/ghost.png",
+        "frame": [64, 64],
+        "animations": {
+          "idle": { "frames": [0, 1, 2, 3, 4, 5], "fps": 6 },
+          "lunge": { "frames": [0, 1, 2, 3, 4, 5], "fps": 10 }
+        }
+      },
+      "tiles": {
+        "src": "assets/tiles.png",
+        "frame": [8, 8],
+        "tiles": { "left": [0, 0], "middle": [0, 0], "right": [0, 0], "under": [1, 0] }
+      },
+      "sword": { "src": "assets/sword.png", "frame": [16, 16] },
+      "bg_far": { "src": "assets/bg_far.png" },
+      "bg_mid": { "src": "assets/bg_mid.png" },
+      "bg_near": { "src": "assets/bg_near.png" }
+    },
+    "parallax": [
+      { "sheet": "bg_far", "speed": 0.14, "y": 0 },
+      { "sheet": "bg_mid", "speed": 0.33, "y": 3 },
+      { "sheet": "bg_near", "speed": 0.78, "y": 6 }
+    ]
+  };
+
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+  const isCell = (c) => Array.isArray(c) && c.length === 2 && c.every((v) => Number.isInteger(v) && v >= 0);
+
+  // -> { sheets: { [name]: { src, frame: { w, h } | null, animations, tiles } }, parallax }
+  // (tiles: variant -> list of { col, row })
+  function parseManifest(data) {
+    const fail = (msg) => { throw new Error(`sprite manifest: ${msg}`); };
+    if (!data || typeof data !== "object") fail("not an object");
+    if (data.format !== MANIFEST_FORMAT) fail(`unsupported format ${data.format}`);
+    if (!data.sheets || typeof data.sheets !== "object") fail("no sheets");
+
+    const sheets = {};
+    for (const [name, s] of Object.entries(data.sheets)) {
+      const where = `sheet ${name}`;
+      if (!s || typeof s.src !== "string" || !s.src) fail(`${where}: missing src`);
+
+      let frame = null;
+      if (s.frame !== undefined) {
+        if (!Array.isArray(s.frame) || s.frame.length !== 2 || !s.frame.every((v) => Number.isInteger(v) && v > 0)) {
+          fail(`${where}: frame must be [w, h]`);
+        }
+        frame = { w: s.frame[0], h: s.frame[1] };
+      }
+
+      const animations = {};
+      for (const [anim, a] of Object.entries(s.animations || {})) {
+        if (!frame) fail(`${where}: animations need a frame size`);
+        if (!a || !Array.isArray(a.frames) || !a.frames.length || !a.frames.every((f) => Number.isInteger(f) && f >= 0)) {
+          fail(`${where}: animation ${anim} needs a list of frame indices`);
+        }
+        if (!num(a.fps) || a.fps <= 0) fail(`${where}: animation ${anim} needs an fps`);
+        animations[anim] = { frames: a.frames.slice(), fps: a.fps };
+      }
+
+      let tiles = null;
+      if (s.tiles !== undefined) {
+        if (!frame) fail(`${where}: tiles need a frame size`);
+        tiles = {};
+        for (const v of TILE_VARIANTS) {
+          const cells = s.tiles[v];
+          const list = isCell(cells) ? [cells] : cells;
+          if (!Array.isArray(list) || !list.length || !list.every(isCell)) fail(`${where}: tile ${v} must be [col, row] or a list of them`);
+          tiles[v] = list.map(([col, row]) => ({ col, row }));
+        }
+      }
+
+      sheets[name] = { src: s.src, frame, animations, tiles };
+    }
+
+    const parallax = (data.parallax || []).map((l, i) => {
+      if (!l || !sheets[l.sheet]) fail(`parallax layer ${i}: unknown sheet ${l && l.sheet}`);
+      if (!num(l.speed)) fail(`parallax layer ${i}: speed must be a number`);
+      return { sheet: l.sheet, speed: l.speed, y: num(l.y) ? l.y : 0 };
+    });
+
+    return { sheets, parallax };
+  }
+
+  // frame index an animation shows at time t (s)
+  function frameAt(anim, t) {
+    return anim.frames[Math.floor(t * anim.fps) % anim.frames.length];
+  }
+
+  // source rect of frame i on a sheet image `cols` frames wide
+  function frameRect(frame, i, cols) {
+    return { x: (i % cols) * frame.w, y: Math.floor(i / cols) * frame.h, w: frame.w, h: frame.h };
+  }
+
+  return { MANIFEST_FORMAT, TILE_VARIANTS, MANIFEST, parseManifest, frameAt, frameRect };
+});
@@ -0,0 +1,160 @@
+// touch.js — on-screen touch controls for phones / tablets.
+// Zones are laid out in canvas pixels (320x180) and press actions through
+// input.setHeld(), so the sim sees exactly what a keyboard would send.
+//
+//   const touch = GhostChase.touch.createTouchControls({ canvas, input, W, H, getState });
+//   touch.draw(ctx);  // after the scene, each frame
+//
+// getState() -> { playing, title, hasSword } decides which zones are live; menus
+// (pause, results, ...) are tapped directly. In "auto" mode the controls show
+// themselves on touch devices (or on the first touch); setMode("on"/"off") forces it.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).touch = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // hold: action held while touched; toggle: flips on each tap; tap: one press
+  const ZONES = [
+    { id: "left", action: "left", kind: "hold", x: 6, y: 128, w: 40, h: 44, label: "◀", when: (s) => s.playing },
+    { id: "right", action: "right", kind: "hold", x: 50, y: 128, w: 40, h: 44, label: "▶", when: (s) => s.playing },
+    { id: "sprint", action: "sprint", kind: "toggle", x: 6, y: 104, w: 84, h: 20, label: "SPRINT", when: (s) => s.playing },
+    // jump is live on the title too: the first jump starts the run
+    { id: "jump", action: "jump", kind: "hold", x: 268, y: 120, w: 46, h: 52, label: "▲", when: (s) => s.playing || s.title },
+    { id: "attack", action: "attack", kind: "hold", x: 218, y: 128, w: 44, h: 44, label: "⚔", when: (s) => s.playing && s.hasSword },
+    { id: "pause", action: "pause", kind: "tap", x: 294, y: 4, w: 22, h: 16, label: "II", when: (s) => s.playing },
+  ];
+
+  const MODES = ["auto", "on", "off"];
+
+  function isTouchDevice(nav, matchMedia) {
+    if (nav && nav.maxTouchPoints > 0) return true;
+    try { return !!(matchMedia && matchMedia("(pointer: coarse)").matches); } catch { return false; }
+  }
+
+  function createTouchControls({ canvas, input, W, H, getState, nav = null, matchMedia = null, mode = "auto", onVisible = () => {} }) {
+    let detected = isTouchDevice(nav, matchMedia);
+    let visible = false;
+    let sprintOn = false;
+    const pointers = new Map(); // pointerId -> zone id (hold zones only)
+    const flashUntil = {};      // zone id -> ms, so taps show feedback
+
+    function refresh() {
+      const v = mode === "on" || (mode === "auto" && detected);
+      if (v === visible) return;
+      visible = v;
+      if (!v) {
+        for (const id of Array.from(pointers.keys())) release(id);
+        sprintOn = false;
+        input.setHeld("sprint", false);
+      }
+      onVisible(v);
+    }
+    refresh();
+
+    function liveZones() {
+      if (!visible) return [];
+      const s = getState();
+      return ZONES.filter((z) => z.when(s));
+    }
+
+    function toCanvas(e) {
+      const r = canvas.getBoundingClientRect();
+      return { x: ((e.clientX - r.left) * W) / r.width, y: ((e.clientY - r.top) * H) / r.height };
+    }
+
+    function zoneAt(p) {
+      // small slop around each zone; thumbs are imprecise
+      return liveZones().find((z) => p.x >= z.x - 4 && p.x < z.x + z.w + 4 && p.y >= z.y - 4 && p.y < z.y + z.h + 4) || null;
+    }
+
+    function heldBy(id) {
+      for (const zid of pointers.values()) if (zid === id) return true;
+      return false;
+    }
+
+    function release(pointerId) {
+      const zid = pointers.get(pointerId);
+      pointers.delete(pointerId);
+      if (!zid || heldBy(zid)) return;
+      input.setHeld(ZONES.find((z) => z.id === zid).action, false);
+    }
+
+    function grab(pointerId, z) {
+      pointers.set(pointerId, z.id);
+      input.setHeld(z.action, true);
+    }
+
+    canvas.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "touch" && !detected) {
+        detected = true;
+        refresh();
+      }
+      if (!visible) return;
+      e.preventDefault();
+      const z = zoneAt(toCanvas(e));
+      if (!z) return;
+      flashUntil[z.id] = performance.now() + 120;
+      if (z.kind === "hold") {
+        if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+        grab(e.pointerId, z);
+      } else if (z.kind === "toggle") {
+        sprintOn = !sprintOn;
+        input.setHeld(z.action, sprintOn);
+      } else {
+        input.setHeld(z.action, true);
+        input.setHeld(z.action, false);
+      }
+    });
+
+    // sliding a thumb from ◀ to ▶ (or onto jump) switches the held zone
+    canvas.addEventListener("pointermove", (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      const z = zoneAt(toCanvas(e));
+      if (!z || z.kind !== "hold" || z.id === pointers.get(e.pointerId)) return;
+      release(e.pointerId);
+      grab(e.pointerId, z);
+    });
+
+    for (const type of ["pointerup", "pointercancel"]) {
+      canvas.addEventListener(type, (e) => release(e.pointerId));
+    }
+
+    function draw(ctx) {
+      const zones = liveZones();
+      if (!zones.length) return;
+      const now = performance.now();
+
+      ctx.save();
+      ctx.font = "10px ui-monospace, Menlo, Consolas, monospace";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      for (const z of zones) {
+        const lit = heldBy(z.id) || (z.kind === "toggle" && sprintOn) || flashUntil[z.id] > now;
+        ctx.fillStyle = lit ? "rgba(255,224,138,0.35)" : "rgba(232,238,252,0.12)";
+        ctx.strokeStyle = lit ? "rgba(255,224,138,0.8)" : "rgba(232,238,252,0.35)";
+        ctx.lineWidth = 1;
+        ctx.fillRect(z.x, z.y, z.w, z.h);
+        ctx.strokeRect(z.x + 0.5, z.y + 0.5, z.w - 1, z.h - 1);
+        ctx.fillStyle = lit ? "#ffe08a" : "rgba(232,238,252,0.8)";
+        ctx.fillText(z.label, z.x + z.w / 2, z.y + z.h / 2 + 0.5);
+      }
+      ctx.restore();
+    }
+
+    return {
+      draw,
+      get visible() { return visible; },
+      get sprintOn() { return sprintOn; },
+      get mode() { return mode; },
+      setMode(m) {
+        if (!MODES.includes(m)) throw new Error(`Unknown touch mode: ${m}`);
+        mode = m;
+        refresh();
+      },
+    };
+  }
+
+  return { ZONES, MODES, createTouchControls, isTouchDevice };
+});
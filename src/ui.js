@@ -0,0 +1,135 @@
+// ui.js — tiny canvas UI kit for the shell's screens (title, pause, results, ...).
+// Everything draws in canvas pixels (320x180) with one small monospace font.
+//
+//   const menu = GhostChase.ui.createMenu([
+//     { label: "Play", run: startRun },
+//     { label: () => `Sound: ${on ? "On" : "Off"}`, run: toggle, left: toggle, right: toggle },
+//     { label: "Watch last run", run: watch, when: () => !!lastReplay },
+//   ], { x: 160, y: 80 });
+//   menu.update(input);  // ui up/down/left/right/confirm from src/input.js
+//   menu.draw(ctx);
+//   menu.tap({ x, y });  // pointer / touch, canvas coords
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.GhostChase = root.GhostChase || {}).ui = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const COLORS = {
+    text: "#e8eefc",
+    muted: "#a7b4dd",
+    accent: "#ffe08a",
+    bad: "#ff8a9a",
+    panel: "rgba(18,26,51,0.92)",
+    edge: "rgba(167,180,221,0.35)",
+  };
+
+  function font(size) {
+    return `${size}px ui-monospace, Menlo, Consolas, monospace`;
+  }
+
+  function text(ctx, str, x, y, { color = COLORS.text, align = "left", size = 8 } = {}) {
+    ctx.font = font(size);
+    ctx.textAlign = align;
+    ctx.textBaseline = "top";
+    ctx.fillStyle = color;
+    ctx.fillText(str, Math.round(x), Math.round(y));
+  }
+
+  // full-screen dim behind a screen; alpha < 1 keeps the world visible
+  function shade(ctx, w, h, alpha = 0.88) {
+    ctx.fillStyle = `rgba(7,10,20,${alpha})`;
+    ctx.fillRect(0, 0, w, h);
+  }
+
+  function panel(ctx, x, y, w, h) {
+    ctx.fillStyle = COLORS.panel;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = COLORS.edge;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  }
+
+  function bar(ctx, x, y, w, h, frac, color = COLORS.text) {
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(x - 1, y - 1, w + 2, h + 2);
+    ctx.fillStyle = "rgba(120,140,255,0.45)";
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, Math.floor(w * Math.max(0, Math.min(1, frac))), h);
+  }
+
+  // Vertical list of items; hidden items (when() false) are skipped entirely.
+  function createMenu(items, { x = 160, y = 60, rowH = 12, width = 140, align = "center", wrap = true } = {}) {
+    let sel = 0;
+
+    const shown = () => items.filter((it) => !it.when || it.when());
+    const labelOf = (it) => (typeof it.label === "function" ? it.label() : it.label);
+
+    function current() {
+      const list = shown();
+      sel = Math.max(0, Math.min(sel, list.length - 1));
+      return list[sel] || null;
+    }
+
+    function move(d) {
+      const n = shown().length;
+      if (!n) return;
+      sel = wrap ? (sel + d + n) % n : Math.max(0, Math.min(n - 1, sel + d));
+    }
+
+    function update(input) {
+      if (input.uiPressed("up")) move(-1);
+      if (input.uiPressed("down")) move(1);
+      const it = current();
+      if (!it) return;
+      if (input.uiPressed("left") && it.left) it.left();
+      else if (input.uiPressed("right") && it.right) it.right();
+      else if (input.uiPressed("confirm") && it.run) it.run();
+    }
+
+    function rowX() {
+      return align === "center" ? x - width / 2 : x;
+    }
+
+    function draw(ctx) {
+      const list = shown();
+      current();
+      list.forEach((it, i) => {
+        const ry = y + i * rowH;
+        const on = i === sel;
+        if (on) {
+          ctx.fillStyle = "rgba(255,224,138,0.12)";
+          ctx.fillRect(rowX(), ry - 2, width, rowH);
+        }
+        const tx = align === "center" ? x : x + 10;
+        text(ctx, labelOf(it), tx, ry, { color: on ? COLORS.accent : COLORS.text, align });
+        if (on && align !== "center") text(ctx, ">", x + 2, ry, { color: COLORS.accent });
+      });
+    }
+
+    function tap(p) {
+      const list = shown();
+      const i = Math.floor((p.y - y + 2) / rowH);
+      if (i < 0 || i >= list.length || p.x < rowX() || p.x > rowX() + width) return false;
+      sel = i;
+      const it = list[i];
+      if (it.run) it.run();
+      else if (it.right) it.right();
+      return true;
+    }
+
+    return {
+      update,
+      draw,
+      tap,
+      current,
+      get sel() { return sel; },
+      set sel(v) { sel = v; },
+      reset() { sel = 0; },
+    };
+  }
+
+  return { COLORS, font, text, shade, panel, bar, createMenu };
+});
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// gap-report.js — worst-case ground/platform gaps the generators produce, per phase.
+//
+//   node tools/gap-report.js [runs=200] [seconds=150] [difficulty=normal]
+//
+// Runs immortal headless games (so every phase is reached), and for each gap
+// compares its width against core.maxGapFor() at the scroll speed the camera
+// has when the gap actually reaches the player. margin < 0 means unjumpable.
+
+"use strict";
+
+const core = require("../src/core.js");
+const { createGame, TICK, TICK_RATE, phaseAt, maxGapFor } = core;
+const { resolve } = require("../src/difficulty.js");
+
+const runs = Number(process.argv[2]) || 200;
+const seconds = Number(process.argv[3]) || 150;
+const difficulty = resolve(process.argv[4] || "normal");
+
+// where in the lane we assume the player is when a gap arrives (mid-lane)
+const ARRIVE_X = 100;
+
+const stats = {}; // `${phase}:${kind}` -> { count, widest, tightest }
+
+function note(phase, kind, gap, dy, scroll) {
+  const key = `${phase}:${kind}`;
+  const s = stats[key] || (stats[key] = { phase, kind, count: 0, impossible: 0, widest: null, tightest: null });
+  const margin = maxGapFor(dy, scroll) - gap;
+  const entry = { gap, dy, scroll: Math.round(scroll), margin };
+  s.count++;
+  if (margin < 0) s.impossible++;
+  if (!s.widest || gap > s.widest.gap) s.widest = entry;
+  if (!s.tightest || margin < s.tightest.margin) s.tightest = entry;
+}
+
+for (let r = 0; r < runs; r++) {
+  const seed = (r * 2654435761 + 17) >>> 0;
+  let startTick = true;
+  const game = createGame({
+    seed,
+    difficulty,
+    immortal: true,
+    input: { isDown: () => false, wasPressed: (a) => startTick && a === "jump" },
+  });
+  game.restart(seed);
+
+  const seen = new Set();
+  const pending = []; // gaps waiting for the camera to bring them to the player
+  // kept as objects: a segment can still grow after it's first seen (run up to a
+  // chunk), or be cut back / dropped when a boss arena replaces the course ahead
+  let lastGround = null, lastPlat = null;
+
+  const maxTicks = seconds * TICK_RATE;
+  for (let t = 0; t < maxTicks; t++) {
+    game.step(TICK);
+    startTick = false;
+
+    for (const g of game.ground) {
+      if (seen.has(g)) continue;
+      seen.add(g);
+      const lastEnd = lastGround ? lastGround.x + lastGround.w : null;
+      if (lastEnd !== null && g.x > lastEnd) {
+        pending.push({ kind: "ground", x: lastEnd, a: lastGround, b: g, dy: 0 });
+      }
+      lastGround = g;
+    }
+    for (const p of game.platforms) {
+      if (seen.has(p)) continue;
+      seen.add(p);
+      if (lastPlat) {
+        // a mover counts at its worst point of travel (furthest right / highest)
+        const ampX = p.axis === "x" ? p.amp : 0, ampY = p.axis === "y" ? p.amp : 0;
+        const from = lastPlat.baseX + lastPlat.w;
+        pending.push({ kind: "platform", x: from, a: lastPlat, b: p, gap: p.baseX + ampX - from, dy: p.baseY - ampY - lastPlat.baseY });
+      }
+      lastPlat = p;
+    }
+
+    while (pending.length && pending[0].x <= game.camX + ARRIVE_X) {
+      const g = pending.shift();
+      const list = g.kind === "ground" ? game.ground : game.platforms;
+      if (!list.includes(g.a) || !list.includes(g.b)) continue; // replaced by an arena
+      const gap = g.kind === "ground" ? g.b.x - (g.a.x + g.a.w) : g.gap;
+      if (gap > 0) note(phaseAt(game.tSec, difficulty), g.kind, gap, g.dy, game.baseScroll);
+    }
+  }
+}
+
+const fmt = (e) => `${e.gap}px (dy ${e.dy}, scroll ${e.scroll}, margin ${e.margin})`;
+let impossible = 0;
+console.log(`${runs} runs x ${seconds}s\n`);
+for (const s of Object.values(stats).sort((a, b) => a.phase - b.phase || a.kind.localeCompare(b.kind))) {
+  impossible += s.impossible;
+  console.log(`phase ${s.phase} ${s.kind.padEnd(8)} gaps: ${String(s.count).padStart(6)}  unjumpable: ${s.impossible}`);
+  console.log(`  widest:   ${fmt(s.widest)}`);
+  console.log(`  tightest: ${fmt(s.tightest)}`);
+}
+process.exit(impossible ? 1 : 0);
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// simulate.js — run many headless games through src/core.js and check invariants.
+//
+//   node tools/simulate.js [runs=2000] [maxSeconds=120] [difficulty=normal]
+//
+// A simple seeded bot plays each run (holds right, jumps at gap edges and spikes, swings the
+// sword when it has one and the ghost or an enemy is close). It drives core actions directly, like a gamepad would. Exits non-zero if any invariant fails.
+
+"use strict";
+
+const { createGame, TICK, TICK_RATE, W } = require("../src/core.js");
+const { makeRng } = require("../src/rng.js");
+const { resolve } = require("../src/difficulty.js");
+
+const runs = Number(process.argv[2]) || 2000;
+const maxSeconds = Number(process.argv[3]) || 120;
+const difficulty = resolve(process.argv[4] || "normal");
+
+// ---- bot ----
+function createBot(game, seed) {
+  const r = makeRng(seed ^ 0x5bd1e995);
+  const held = new Set();
+  const pressed = new Set();
+
+  function groundAt(worldX) {
+    return game.ground.some((g) => worldX >= g.x && worldX <= g.x + g.w);
+  }
+
+  function spikesAt(worldX) {
+    return game.spikes.some((s) => worldX >= s.x - 6 && worldX <= s.x + s.w);
+  }
+
+  return {
+    input: {
+      isDown: (a) => held.has(a),
+      wasPressed: (a) => pressed.has(a),
+    },
+    think() {
+      const p = game.player;
+      held.clear();
+      pressed.clear();
+
+      if (!game.started) {
+        pressed.add("jump");
+        return;
+      }
+      held.add("right");
+      held.add("jump");
+
+      const feetAhead = game.camX + p.x + p.w + 18;
+      if (p.onGround && (!groundAt(feetAhead) || spikesAt(feetAhead))) pressed.add("jump");
+      else if (p.onGround && r() < 0.01) pressed.add("jump");
+
+      const enemyNear = game.enemies.some((e) => Math.abs(e.x - p.x) < 30 && Math.abs(e.y - p.y) < 30);
+      if (game.hasPower("sword") && (game.ghost.x + game.ghost.w > p.x - 40 || enemyNear)) pressed.add("attack");
+    },
+  };
+}
+
+// ---- invariants ----
+const failures = [];
+function check(ok, msg) {
+  if (!ok) failures.push(msg);
+}
+
+function playRun(seed) {
+  let bot = null;
+  const game = createGame({
+    seed,
+    difficulty,
+    input: { isDown: (a) => bot.input.isDown(a), wasPressed: (a) => bot.input.wasPressed(a) },
+  });
+  bot = createBot(game, seed);
+  game.restart(seed);
+
+  // player never spawns over a gap
+  const p = game.player;
+  const spawnX = game.camX + p.x;
+  check(
+    game.ground.some((g) => spawnX >= g.x && spawnX + p.w <= g.x + g.w),
+    `seed ${seed}: player spawns over a gap at x=${spawnX}`
+  );
+
+  const maxTicks = maxSeconds * TICK_RATE;
+  let ticks = 0;
+  let score = 0;
+  while (!game.gameOver && ticks < maxTicks) {
+    bot.think();
+    game.step(TICK);
+    ticks++;
+
+    // points are only ever added
+    check(game.score >= score, `seed ${seed}: score went down to ${game.score} from ${score}`);
+    score = game.score;
+
+    // the generators always keep a screen's worth of world ahead
+    const farGround = Math.max(...game.ground.map((g) => g.x + g.w));
+    check(farGround >= game.camX + W, `seed ${seed}: ground ran out at camX=${game.camX.toFixed(0)}`);
+  }
+
+  return { time: game.tSec, reason: game.gameOver ? game.gameOverReason : "timeout", repels: game.ghostsRepelled, score: game.score };
+}
+
+const started = Date.now();
+const causes = {};
+let total = 0, longest = 0, totalScore = 0;
+
+for (let i = 0; i < runs; i++) {
+  const seed = (i * 2654435761) >>> 0;
+  const res = playRun(seed);
+  causes[res.reason] = (causes[res.reason] || 0) + 1;
+  total += res.time;
+  longest = Math.max(longest, res.time);
+  totalScore += res.score;
+
+  // same seed + same input => same run
+  if (i < 20) {
+    const again = playRun(seed);
+    check(again.time === res.time && again.reason === res.reason && again.score === res.score, `seed ${seed}: run is not deterministic`);
+  }
+}
+
+console.log(`${runs} runs in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+console.log(`mean survival ${(total / runs).toFixed(2)}s, longest ${longest.toFixed(2)}s, mean score ${Math.round(totalScore / runs)}`);
+for (const [reason, n] of Object.entries(causes)) console.log(`  ${reason}: ${n}`);
+
+if (failures.length) {
+  console.error(`\n${failures.length} invariant failure(s):`);
+  for (const f of failures.slice(0, 20)) console.error(`  ${f}`);
+  process.exit(1);
+}
+console.log("all invariants hold");